@@ -0,0 +1,115 @@
+// Shows the unread notification count on the installed app's icon (Badging API), falling back to
+// a dot on the favicon and a `(n)` title prefix in browsers without it and in regular tabs.
+
+import { PWAUtils } from "./pwa-utils";
+
+const TITLE_PREFIX = /^\(\d+\+?\) /;
+const MAX_TITLE_COUNT = 99;
+
+let count = 0;
+let originalFavicon = null;
+let titleObserver = null;
+
+function faviconLink() {
+  return document.querySelector('link[rel~="icon"]');
+}
+
+function drawFaviconDot(href) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      const size = 32;
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, size, size);
+      ctx.beginPath();
+      ctx.arc(size * 0.75, size * 0.25, size * 0.22, 0, 2 * Math.PI);
+      ctx.fillStyle = '#e11d48';
+      ctx.fill();
+
+      try {
+        resolve(canvas.toDataURL('image/png'));
+      } catch (error) {
+        // Cross-origin icons taint the canvas
+        reject(error);
+      }
+    };
+    img.onerror = reject;
+    img.src = href;
+  });
+}
+
+export const AppBadge = {
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'setAppBadge' in navigator;
+  },
+
+  get count() {
+    return count;
+  },
+
+  /**
+   * Sets the badge to `n` unread notifications, clearing it when `n` is 0.
+   * @param {Number} n
+   */
+  async set(n) {
+    count = Math.max(0, parseInt(n, 10) || 0);
+
+    let badged = false;
+    if (this.isSupported()) {
+      try {
+        await (count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge());
+        badged = true;
+      } catch (_error) {
+        // e.g. not allowed, use the in-page fallback instead
+      }
+    }
+
+    // Browser tabs don't show the app badge, so they get the fallback too
+    if (badged && PWAUtils.isPWAMode()) return;
+
+    this.updateTitle();
+    await this.updateFavicon();
+  },
+
+  clear() {
+    return this.set(0);
+  },
+
+  updateTitle() {
+    const base = document.title.replace(TITLE_PREFIX, '');
+    const label = count > MAX_TITLE_COUNT ? `${MAX_TITLE_COUNT}+` : count;
+    const title = count > 0 ? `(${label}) ${base}` : base;
+    if (document.title !== title) document.title = title;
+
+    // LiveView replaces the title on navigation, so put the prefix back when that happens
+    if (!titleObserver && count > 0 && document.querySelector('title')) {
+      titleObserver = new MutationObserver(() => {
+        if (count > 0 && !TITLE_PREFIX.test(document.title)) this.updateTitle();
+      });
+      titleObserver.observe(document.querySelector('title'), { childList: true });
+    }
+  },
+
+  async updateFavicon() {
+    const link = faviconLink();
+    if (!link) return;
+
+    if (originalFavicon === null) originalFavicon = link.href;
+
+    if (count === 0) {
+      link.href = originalFavicon;
+      return;
+    }
+
+    try {
+      link.href = await drawFaviconDot(originalFavicon);
+    } catch (_error) {
+      // Keep the plain favicon, the title prefix still shows the count
+    }
+  }
+};
@@ -0,0 +1,74 @@
+// Describes this device when subscribing to push, so the device list in the notification settings reads like
+// "Firefox on Linux (installed app)" (see `PushNotificationsLive.device_label/1`) rather than a guess from the
+// push service. Uses `navigator.userAgentData` where available (Chromium browsers), which tells Chromium-based
+// browsers apart and reports the Windows version and phone model, otherwise the user agent string.
+
+import { PWAUtils } from "./pwa-utils";
+import { browserFamily } from "./push-diagnostics";
+
+// `userAgentData` brands to browser names, most specific first ("Google Chrome" is also listed by Edge etc)
+const BRANDS = [
+  ['Microsoft Edge', 'Edge'],
+  ['Opera', 'Opera'],
+  ['Samsung Internet', 'Samsung Internet'],
+  ['Brave', 'Brave'],
+  ['Vivaldi', 'Vivaldi'],
+  ['Google Chrome', 'Chrome'],
+  ['Chromium', 'Chromium']
+];
+
+const PLATFORMS = { 'Chrome OS': 'ChromeOS', 'Chromium OS': 'ChromeOS' };
+
+function browserFromBrands(brands = []) {
+  const names = brands.map(({ brand }) => brand);
+  return BRANDS.find(([brand]) => names.includes(brand))?.[1] || null;
+}
+
+function osFromUserAgent(userAgent = navigator.userAgent) {
+  if (PWAUtils.isIOS()) return 'iOS';
+  if (/Android/.test(userAgent)) return 'Android';
+  if (/Windows/.test(userAgent)) return 'Windows';
+  if (/CrOS/.test(userAgent)) return 'ChromeOS';
+  if (/Mac OS X|Macintosh/.test(userAgent)) return 'macOS';
+  if (/Linux/.test(userAgent)) return 'Linux';
+  return null;
+}
+
+function osFromHints({ platform, platformVersion }) {
+  if (!platform) return null;
+  // Windows 11 reports itself as Windows 10 in the user agent, its platform version starts at 13
+  if (platform === 'Windows' && parseInt(platformVersion, 10) >= 13) return 'Windows 11';
+  return PLATFORMS[platform] || platform;
+}
+
+export const DeviceInfo = {
+  /**
+   * Resolves with `{browser, os, model, installed, user_agent}`, any of which may be null when unknown.
+   */
+  async describe() {
+    const userAgent = navigator.userAgent;
+    const family = browserFamily(userAgent);
+    const info = {
+      browser: family === 'Other' ? null : family,
+      os: osFromUserAgent(userAgent),
+      model: null,
+      installed: PWAUtils.isPWAMode(),
+      user_agent: userAgent
+    };
+
+    const uaData = navigator.userAgentData;
+    if (!uaData) return info;
+
+    info.browser = browserFromBrands(uaData.brands) || info.browser;
+
+    try {
+      const hints = await uaData.getHighEntropyValues(['platform', 'platformVersion', 'model']);
+      info.os = osFromHints(hints) || info.os;
+      info.model = hints.model || null;
+    } catch (_error) {
+      // the browser may refuse high-entropy hints, the low-entropy platform is still better than nothing
+      info.os = osFromHints(uaData) || info.os;
+    }
+    return info;
+  }
+};
@@ -1,329 +1,221 @@
 import { PWAUtils } from "./pwa-utils";
-
-// Clear stale badge count when user returns to the app
-if ('clearAppBadge' in navigator) {
-  const clearBadge = () => navigator.clearAppBadge().catch(() => {});
-  document.addEventListener('visibilitychange', () => {
-    if (document.visibilityState === 'visible') clearBadge();
+import { PushClient } from "./push-client";
+import { AppBadge } from "./app-badge";
+import { NotifyChannel } from "./notify-channel";
+import { NotifyStream } from "./notify-stream";
+import { createMastoStreaming } from "./masto-streaming";
+import { NotifyLog } from "./notify-log";
+import { NotifyStore } from "./notify-store";
+import { NotifyInbox } from "./notify-inbox";
+import { PushPrompt } from "./push-prompt";
+import { PWAInstall } from "./pwa-install";
+import { SWUpdate } from "./sw-update";
+import { PushPreview } from "./push-preview";
+import { browserFamily } from "./push-diagnostics";
+
+// The service worker reports the unread count it got with each push, so open pages can show it too
+if (typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'bonfire-notify:badge') AppBadge.set(event.data.count);
   });
-  window.addEventListener('focus', clearBadge);
-  clearBadge();
+}
+
+// Show the offline inbox right away, hooks only mount once the LiveView socket connects
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => NotifyInbox.renderAll());
+  } else {
+    NotifyInbox.renderAll();
+  }
+}
+
+const TOAST_DURATION = 8000;
+// Shares older than this (e.g. made while logged out) are dropped rather than opened later by surprise
+const SHARE_MAX_AGE = 10 * 60 * 1000;
+// Set by the server when it received a share instead of the worker (see `ManifestController.share/2`)
+const SHARE_COOKIE = 'bonfire_notify_share';
+
+// Copies the user's quiet hours (see `Bonfire.Notify.quiet_hours/1`) to where the service worker can read them
+function mirrorQuietHours(el) {
+  if (!el.dataset.quietHours || !NotifyStore.isSupported()) return;
+
+  try {
+    NotifyStore.set('quiet_hours', JSON.parse(el.dataset.quietHours))
+      .catch((error) => NotifyLog.warn('Could not save quiet hours:', error));
+  } catch (error) {
+    NotifyLog.warn('Invalid quiet hours:', error);
+  }
+}
+
+// Reports an install outcome for the admin's install stats (see `Bonfire.Notify.PWAInstalls.record/2`)
+function reportInstall(hook, event) {
+  hook.pushEvent('Bonfire.Notify:pwa_install', { event, platform: PWAInstall.platform() });
+}
+
+// Shows the browser's install prompt and reports what the user chose
+async function promptInstall(hook) {
+  if (!PWAInstall.hasPrompt()) return null;
+
+  reportInstall(hook, 'prompted');
+  const outcome = await PWAInstall.prompt();
+  if (outcome) reportInstall(hook, outcome);
+  if (outcome === 'accepted') NotifyChannel.post('pwa-installed');
+  return outcome;
+}
+
+// Tells the service worker which account is active in this browser, to route notifications for others
+// through an account switch (see `NotifyServiceWorker.recipientUrl`)
+function mirrorCurrentUser(el) {
+  if (!el.dataset.userId || !NotifyStore.isSupported()) return;
+
+  NotifyStore.set('current_user', el.dataset.userId)
+    .catch((error) => NotifyLog.warn('Could not save the current user:', error));
 }
 
 let NotifyHooks = {};
 
 NotifyHooks.PushNotificationHook = {
   mounted() {
-    console.log('🔔 PushNotificationHook: mounted() called');
-    
     this.vapidPublicKey = document.getElementById('vapid-public-key')?.value;
-    console.log('🔑 VAPID public key:', this.vapidPublicKey ? 'Found' : '❌ NOT FOUND');
-    
-    this.swRegistration = null;
+    if (!this.vapidPublicKey) NotifyLog.warn('VAPID public key not found');
+
+    PushClient.configure({ swUrl: this.el.dataset.swUrl, vapidKey: this.vapidPublicKey });
+
     this.subscribeBtn = document.getElementById('subscribe-btn');
-    console.log('🔘 Subscribe button:', this.subscribeBtn ? 'Found' : '❌ NOT FOUND');
-    
+
     this.init();
   },
 
   async init() {
-    console.log('🚀 PushNotificationHook: init() starting...');
-    
-    if (!('serviceWorker' in navigator)) {
-      console.error('❌ Service Worker not supported in this browser');
-      return;
-    }
-    console.log('✅ Service Worker API available');
-    
-    // Check Push API support
-    if (!('PushManager' in window)) {
-      console.error('❌ Push API not supported in this browser');
-      return;
-    }
-    console.log('✅ Push API available');
-
     try {
-      console.log('📝 Registering service worker at /pwabuilder-sw.js...');
-      this.swRegistration = await navigator.serviceWorker.register('/pwabuilder-sw.js', {
-        scope: '/'  // Explicitly set scope
-      });
-      console.log('✅ Service Worker registered');
-      console.log('   - Scope:', this.swRegistration.scope);
-      console.log('   - Active:', this.swRegistration.active ? 'Yes' : 'No');
-      console.log('   - Installing:', this.swRegistration.installing ? 'Yes' : 'No');
-      console.log('   - Waiting:', this.swRegistration.waiting ? 'Yes' : 'No');
-      
-      await navigator.serviceWorker.ready;
-      console.log('✅ Service Worker ready');
-      
-      // Check service worker state after ready
-      console.log('📊 Service Worker state after ready:');
-      console.log('   - Active state:', this.swRegistration.active?.state);
-      
-      // Check if pushManager is available
-      if (!this.swRegistration.pushManager) {
-        console.error('❌ Push Manager not available on registration');
+      const { supported } = await PushClient.getState();
+      if (!supported) {
+        NotifyLog.info('Push notifications not supported in this browser', await PushClient.diagnostics());
         return;
       }
-      console.log('✅ Push Manager available');
 
+      this.removeClientListener = PushClient.onChange((event) => this.handleClientEvent(event));
+
+      await PushClient.checkPermission();
+      PushClient.watchPermission();
+      await PushClient.migrate();
       await this.updateStatus();
       this.setupEventListeners();
 
-      window.addEventListener("phx:device_removed", e => {
-        console.log('📢 Received phx:device_removed event:', e.detail);
+      this._onDeviceRemoved = (e) => {
         e.preventDefault();
         this.handleDeviceRemoved(e.detail.endpoint);
-      })
-
-      const installBtn = document.getElementById('install-button');
-      
-      if(installBtn && PWAUtils.isPWAMode()) {
-          console.log('📱 Running in PWA mode, sending is-pwa event');
-          this.pushEvent('Bonfire.Notify:is-pwa', true);
-        PWAUtils.promptToInstallPWA();
-        installBtn.style.display = 'block';
-      } else {
-        console.log('🌐 Not in PWA mode');
-        if (installBtn) { installBtn.style.display = 'none'; }
-      }
+      };
+      window.addEventListener("phx:device_removed", this._onDeviceRemoved);
+
+      this.setupInstallButton();
 
     } catch (error) {
-      console.error('❌ Push hook init failed:', error);
-      console.error('Error stack:', error.stack);
+      NotifyLog.error('Push hook init failed:', error);
     }
   },
 
-  setupEventListeners() {
-    console.log('🎧 Setting up event listeners...');
-    
-    if (this.subscribeBtn) {
-      this.subscribeBtn.addEventListener('click', async () => {
-        console.log('👆 Subscribe button clicked');
-        const isSubscribed = await this.isSubscribed();
-        console.log('Current subscription status:', isSubscribed ? 'Subscribed' : 'Not subscribed');
-        
-        if (isSubscribed) {
-          console.log('➡️ Unsubscribing...');
-          await this.unsubscribe();
-        } else {
-          console.log('➡️ Subscribing...');
-          await this.subscribe();
-        }
-        await this.updateStatus();
-      });
-      console.log('✅ Event listeners set up');
-    } else {
-      console.warn('⚠️ Subscribe button not found, skipping event listener setup');
+  destroyed() {
+    this.removeClientListener?.();
+    this.removeInstallListener?.();
+    if (this._onDeviceRemoved) {
+      window.removeEventListener("phx:device_removed", this._onDeviceRemoved);
     }
   },
 
-  async isSubscribed() {
-    if (!this.swRegistration) {
-      console.log('❌ No SW registration, returning false');
-      return false;
+  setupInstallButton() {
+    if (PWAUtils.isPWAMode()) {
+      this.pushEvent('Bonfire.Notify:is-pwa', true);
+      return;
     }
-    
-    const subscription = await this.swRegistration.pushManager.getSubscription();
-    console.log('📊 Current subscription:', subscription ? 'Active' : 'None');
-    return !!subscription;
+
+    const installBtn = document.getElementById('install-button');
+    if (!installBtn) return;
+
+    const toggle = () => { installBtn.style.display = PWAInstall.hasPrompt() ? 'block' : 'none'; };
+    this.removeInstallListener = PWAInstall.onChange(toggle);
+    toggle();
+
+    installBtn.addEventListener('click', async () => {
+      installBtn.disabled = true;
+      await promptInstall(this);
+      installBtn.disabled = false;
+      toggle();
+    });
   },
 
-  async subscribe() {
-    try {
-      console.log('🔔 Starting subscription process...');
-      
-
-      // Check current subscription first
-      const existingSub = await this.swRegistration.pushManager.getSubscription();
-      if (existingSub) {
-        console.log('ℹ️ Existing subscription found, unsubscribing first...');
-        await existingSub.unsubscribe();
-      }
-      
-      console.log('🔐 Requesting notification permission...');
-      const permission = await Notification.requestPermission();
-      console.log('📋 Permission result:', permission);
-      
-      if (permission !== 'granted') {
-        console.error('❌ Notification permission denied');
-        throw new Error('Permission denied');
-      }
-      console.log('✅ Notification permission granted');
-      
-      console.log('🔑 Converting VAPID key...');
-      console.log('   - Original key:', this.vapidPublicKey);
-      const applicationServerKey = this.urlBase64ToUint8Array(this.vapidPublicKey);
-      console.log('✅ VAPID key converted');
-      console.log('   - Array length:', applicationServerKey.length);
-      console.log('   - First few bytes:', Array.from(applicationServerKey.slice(0, 10)));
-      
-      console.log('📝 Attempting to subscribe to push manager...');
-      console.log('   - userVisibleOnly: true');
-      console.log('   - applicationServerKey length:', applicationServerKey.length);
-      
-      const subscription = await this.swRegistration.pushManager.subscribe({
-        userVisibleOnly: true,
-        applicationServerKey: applicationServerKey
-      });
-      
-      console.log('✅ Subscription created successfully!');
-      console.log('   - Endpoint:', subscription.endpoint);
-      console.log('   - Keys:', Object.keys(subscription.toJSON().keys));
-      
-      console.log('📤 Sending subscription to server...');
-      this.pushEvent('Bonfire.Notify:subscribe', {
-        subscription: subscription.toJSON()
-      });
-      console.log('✅ Subscription sent to server');
-      
-    } catch (error) {
-      console.error('❌ Subscribe failed');
-      console.error('   - Error name:', error.name);
-      console.error('   - Error message:', error.message);
-      console.error('   - Error code:', error.code);
-      console.error('   - Full error:', error);
-      console.error('   - Stack trace:', error.stack);
-      
-      // Log additional browser-specific info
-      console.log('🔍 Browser info:');
-      console.log('   - User agent:', navigator.userAgent);
-      console.log('   - Platform:', navigator.platform);
-      console.log('   - Service Worker state:', this.swRegistration?.active?.state);
-      console.log('   - Current URL:', window.location.href);
-      console.log('   - Protocol:', window.location.protocol);
-      console.log('   - Online status:', navigator.onLine ? 'Online' : 'Offline');
-      
-      // Firefox-specific error handling
-      if (error.name === 'AbortError') {
-        console.error('════════════════════════════════════════════════════════════');
-        console.error('🚨 PUSH NOTIFICATION SUBSCRIPTION FAILED');
-        console.error('Error: AbortError (code 20) - Cannot establish push subscription');
-        console.error('🔍 Diagnosis:');
-        console.error('   • WebSocket connection is failing or blocked');
-        console.error('✅ Next steps to fix:');
-        console.error('-  Make sure you\'re using HTTPS with a valid certificate (i.e. not localhost)');
-        console.error('-  Try a different on this same domain');
-        console.error('-  On Firefox check about:config');
-        console.error('   • Open: about:config');
-        console.error('   • Search: dom.push.enabled → must be true');
-        console.error('   • Search: dom.push.serverURL → check if custom');
-        console.error('   • Search: dom.serviceWorkers.enabled → must be true');
-        console.error('-  Test on different network');
-        console.error('   • Try mobile hotspot to rule out network/firewall');
-        console.error('   • Corporate/VPN networks often block WebSockets');
-        console.error('-  Firefox Private Window (Ctrl+Shift+P)');
-        console.error('   • Rules out extension/setting interference');
-        console.error('════════════════════════════════════════════════════════════');
-      }
+  // Keeps the UI in sync with the push client, whichever hook, script or tab made the change
+  // (the push client already reported it to the server).
+  handleClientEvent({ type }) {
+    if (['subscribed', 'unsubscribed', 'permission-revoked'].includes(type)) {
+      this.pushEvent('Bonfire.Notify:refresh_subscriptions', {});
     }
+    this.updateStatus();
   },
 
-  async unsubscribe() {
-    try {
-      console.log('🔕 Starting unsubscribe process...');
-      
-      const subscription = await this.swRegistration.pushManager.getSubscription();
-      if (subscription) {
-        console.log('📝 Found subscription to unsubscribe:', subscription.endpoint);
-        
-        await subscription.unsubscribe();
-        console.log('✅ Unsubscribed from push manager');
-        
-        console.log('📤 Notifying server about unsubscribe...');
-        this.pushEvent('Bonfire.Notify:unsubscribe', { endpoint: subscription.endpoint });
-        console.log('✅ Server notified');
-      } else {
-        console.warn('⚠️ No subscription found to unsubscribe');
+  setupEventListeners() {
+    if (!this.subscribeBtn) return;
+
+    this.subscribeBtn.addEventListener('click', async () => {
+      const { subscribed } = await PushClient.getState();
+
+      try {
+        if (subscribed) {
+          await PushClient.disable();
+        } else {
+          await PushClient.enable({ vapidKey: this.vapidPublicKey });
+        }
+      } catch (_error) {
+        // PushClient already logged it, the report says what's likely wrong
+        NotifyLog.warn('Push diagnostics:', await PushClient.diagnostics());
       }
-    } catch (error) {
-      console.error('❌ Unsubscribe failed:', error.message);
-      console.error('Error details:', error);
-    }
+      await this.updateStatus();
+    });
   },
 
   async updateStatus() {
-    if (!this.swRegistration) {
-      console.log('❌ updateStatus: No SW registration');
-      return;
-    }
-    
     try {
-      const subscription = await this.swRegistration.pushManager.getSubscription();
-      console.log('🔄 Updating UI status, subscription:', subscription ? 'Active' : 'None');
-      
+      const { subscribed, permission } = await PushClient.getState();
+
+      // Blocked in the browser: clicking would do nothing, so show how to unblock instead
+      const blocked = !subscribed && permission === 'denied';
+      const blockedHelp = document.getElementById('push-blocked-help');
+      if (blockedHelp) blockedHelp.hidden = !blocked;
+
       if (this.subscribeBtn) {
-        if (subscription) {
+        this.subscribeBtn.hidden = blocked;
+        if (subscribed) {
           this.subscribeBtn.textContent = 'Disable Notifications';
           this.subscribeBtn.className = 'btn btn-error btn-sm';
         } else {
           this.subscribeBtn.textContent = 'Enable Notifications';
           this.subscribeBtn.className = 'btn btn-primary btn-sm';
         }
-        console.log('✅ Button UI updated');
       }
-      
+
       const indicator = document.getElementById('status-indicator');
       if (indicator) {
-        if (subscription) {
+        if (subscribed) {
           indicator.className = 'badge badge-success w-3 h-3 rounded-full p-0';
         } else {
           indicator.className = 'badge badge-ghost w-3 h-3 rounded-full p-0';
         }
-        console.log('✅ Status indicator updated');
       }
     } catch (error) {
-      console.error('❌ Error updating status:', error);
+      NotifyLog.error('Error updating status:', error);
     }
   },
 
   async handleDeviceRemoved(removedEndpoint) {
-    console.log('🗑️ Handling device removal for endpoint:', removedEndpoint);
-    
-    if (!this.swRegistration) {
-      console.log('❌ No SW registration, cannot handle device removal');
-      return;
-    }
-    
     try {
-      const currentSubscription = await this.swRegistration.pushManager.getSubscription();
-      
-      if (currentSubscription) {
-        console.log('📊 Current subscription endpoint:', currentSubscription.endpoint);
-        console.log('🔍 Comparing with removed endpoint...');
-        
-        if (currentSubscription.endpoint === removedEndpoint) {
-          console.log('✅ Match found, unsubscribing...');
-          await currentSubscription.unsubscribe();
-          console.log('✅ Unsubscribed successfully');
-          await this.updateStatus();
-        } else {
-          console.log('ℹ️ Different endpoint, no action needed');
-        }
-      } else {
-        console.log('ℹ️ No current subscription, no action needed');
-      }
+      // Only unsubscribes if the removed device is this one
+      await PushClient.forget(removedEndpoint);
     } catch (error) {
-      console.error('❌ Error handling device removal:', error);
+      NotifyLog.error('Error handling device removal:', error);
     }
   },
 
-  urlBase64ToUint8Array(base64String) {
-    console.log('🔄 Converting base64 VAPID key, length:', base64String?.length);
-    
-    const padding = '='.repeat((4 - base64String.length % 4) % 4);
-    const base64 = (base64String + padding)
-      .replace(/-/g, '+')
-      .replace(/_/g, '/');
-    const rawData = window.atob(base64);
-    const result = new Uint8Array([...rawData].map(char => char.charCodeAt(0)));
-    
-    console.log('✅ Converted to Uint8Array, length:', result.length);
-    return result;
-  },
-
   updated() {
-    console.log('🔄 PushNotificationHook: updated() called');
     this.updateStatus();
   }
 };
@@ -333,8 +225,6 @@ NotifyHooks.PushNotificationHook = {
 NotifyHooks.PushSettingsHook = {
   async mounted() {
     this.vapidKey = this.el.dataset.vapidKey;
-    this.swRegistration = null;
-    this.deferredPrompt = null;
 
     // Store bound handlers for cleanup
     this._boundHandlers = {};
@@ -342,242 +232,591 @@ NotifyHooks.PushSettingsHook = {
     // Setup PWA install handling
     this.setupPwaInstall();
 
-    if (!('serviceWorker' in navigator)) {
-      this.pushEventTo(this.el, 'push_not_supported', {});
-      return;
-    }
-
-    await this.initServiceWorker();
+    mirrorQuietHours(this.el);
 
-    // Check PushManager after SW registration — in PWAs it may only be
-    // available on the registration object, not on window
-    if (!this.swRegistration?.pushManager && !('PushManager' in window)) {
-      this.pushEventTo(this.el, 'push_not_supported', {});
+    // "Copy report" button of the troubleshoot panel
+    this._boundHandlers.copyReport = (e) => {
+      const button = e.target.closest('[data-copy-push-report]');
+      if (button) this.copyReport(button);
+    };
+    this.el.addEventListener('click', this._boundHandlers.copyReport);
+
+    PushClient.configure({ swUrl: this.el.dataset.swUrl, vapidKey: this.vapidKey });
+
+    const { supported } = await PushClient.getState();
+    // In-app browsers may have the APIs, but subscribing there never works
+    const { push } = PWAUtils.getCapabilities();
+    if (!supported || push.reason === 'in_app_browser') {
+      this.pushEventTo(this.el, 'push_not_supported', { reason: push.reason });
+      await this.reportDiagnostics();
+      // Get notifications over the SSE stream while a tab is open instead
+      NotifyStream.start();
       return;
     }
 
+    this._boundHandlers.pushClient = PushClient.onChange((event) => this.handleClientEvent(event));
+
+    await PushClient.checkPermission();
+    PushClient.watchPermission();
+    await PushClient.migrate().catch((error) => {
+      NotifyLog.error('Subscription migration failed:', error);
+    });
     await this.checkCurrentSubscription();
+    await this.reportDiagnostics();
 
+    // Failures are logged by PushClient and end up in the diagnostics report
     this.handleEvent('request_push_permission', async (payload) => {
-      await this.requestPushPermission(payload.vapid_key);
+      await PushClient.enable({ vapidKey: payload.vapid_key }).catch(() => {});
     });
 
     this.handleEvent('request_push_disable', async () => {
-      await this.disablePush();
+      await PushClient.disable().catch(() => {});
     });
   },
 
+  updated() {
+    mirrorQuietHours(this.el);
+  },
+
   destroyed() {
     // Clean up event listeners
-    if (this._boundHandlers.beforeinstallprompt) {
-      window.removeEventListener('beforeinstallprompt', this._boundHandlers.beforeinstallprompt);
-    }
+    this.el.removeEventListener('click', this._boundHandlers.copyReport);
+    this._boundHandlers.pushClient?.();
+    this._boundHandlers.channel?.();
+    this._boundHandlers.install?.();
     if (this._boundHandlers.installClick) {
-      const installBtn = document.getElementById('pwa-install-btn');
-      if (installBtn) {
-        installBtn.removeEventListener('click', this._boundHandlers.installClick);
+      document.getElementById('pwa-install-btn')?.removeEventListener('click', this._boundHandlers.installClick);
+    }
+  },
+
+  // Shows changes in the component, including ones made by other hooks or scripts through the push client
+  // (which already reported them to the server). For changes made in other tabs we only resync what we show.
+  handleClientEvent({ type, state, subscription, endpoint, permission, error, remote, reported }) {
+    if (type === 'subscribed') {
+      // Web Push works here after all, so the SSE fallback is no longer needed
+      NotifyStream.stop({ forget: true });
+    }
+
+    if (remote) {
+      if (['subscribed', 'unsubscribed', 'permission-revoked'].includes(type)) {
+        this.pushEventTo(this.el, 'push_subscription_synced', { endpoint: state?.endpoint || null });
       }
+      this.reportDiagnostics();
+      return;
+    }
+
+    switch (type) {
+      case 'subscribed':
+        this.pushEventTo(this.el, 'push_subscription_created', { endpoint: subscription.endpoint, reported });
+        break;
+      case 'unsubscribed':
+        this.pushEventTo(this.el, 'push_subscription_disabled', { endpoint, reported });
+        break;
+      case 'permission-denied':
+        this.pushEventTo(this.el, 'push_subscription_error', { error: `Permission ${permission}` });
+        break;
+      case 'permission-revoked':
+        this.pushEventTo(this.el, 'push_permission_revoked', { endpoint, permission, reported });
+        break;
+      case 'unsupported':
+        this.pushEventTo(this.el, 'push_not_supported', { reason: PWAUtils.getCapabilities().push.reason });
+        NotifyStream.start();
+        break;
+      case 'error':
+        this.pushEventTo(this.el, 'push_subscription_error', { error: error?.message || String(error) });
+        break;
     }
-    this.deferredPrompt = null;
-    this.swRegistration = null;
+    this.reportDiagnostics();
   },
 
   setupPwaInstall() {
     const installSection = document.getElementById('pwa-install-section');
     const installBtn = document.getElementById('pwa-install-btn');
+    if (!installSection) return;
 
-    // Store bound handler for cleanup
-    this._boundHandlers.beforeinstallprompt = (e) => {
-      e.preventDefault();
-      this.deferredPrompt = e;
-      // Show the install section
-      if (installSection) {
-        installSection.classList.remove('hidden');
-      }
-    };
-    window.addEventListener('beforeinstallprompt', this._boundHandlers.beforeinstallprompt);
+    const toggle = () => installSection.classList.toggle('hidden', PWAUtils.isPWAMode() || !PWAInstall.hasPrompt());
+    this._boundHandlers.install = PWAInstall.onChange(toggle);
+    toggle();
 
-    // Handle install button click
     if (installBtn) {
       this._boundHandlers.installClick = async () => {
-        if (!this.deferredPrompt) return;
-
-        this.deferredPrompt.prompt();
-        const { outcome } = await this.deferredPrompt.userChoice;
-
-        if (outcome === 'accepted') {
-          if (installSection) {
-            installSection.classList.add('hidden');
-          }
-        }
-        this.deferredPrompt = null;
+        await promptInstall(this);
+        toggle();
       };
       installBtn.addEventListener('click', this._boundHandlers.installClick);
     }
 
-    // Hide install section if already installed as PWA
-    if (window.matchMedia('(display-mode: standalone)').matches) {
-      if (installSection) {
-        installSection.classList.add('hidden');
+    this._boundHandlers.channel = NotifyChannel.subscribe(({ type }) => {
+      if (type === 'pwa-installed') installSection.classList.add('hidden');
+    });
+  },
+
+  async checkCurrentSubscription() {
+    try {
+      const { endpoint } = await PushClient.getState();
+      if (endpoint) {
+        this.pushEventTo(this.el, 'check_subscription', {
+          endpoint: endpoint
+        });
       }
+    } catch (error) {
+      NotifyLog.error('Error checking subscription:', error);
     }
   },
 
-  async initServiceWorker() {
+  // Sends the component what it needs for its troubleshoot panel
+  async reportDiagnostics() {
     try {
-      this.swRegistration = await navigator.serviceWorker.register('/pwabuilder-sw.js', { scope: '/' });
-      await navigator.serviceWorker.ready;
+      this.report = await PushClient.diagnostics();
+      this.pushEventTo(this.el, 'push_diagnostics', { report: this.report });
     } catch (error) {
-      console.error('PushSettings: Service worker init failed:', error);
+      NotifyLog.error('Could not collect diagnostics:', error);
     }
   },
 
-  async checkCurrentSubscription() {
-    if (!this.swRegistration) return;
-
+  async copyReport(button) {
     try {
-      const subscription = await this.swRegistration.pushManager.getSubscription();
-      if (subscription) {
-        this.pushEventTo(this.el, 'check_subscription', {
-          endpoint: subscription.endpoint
-        });
-      }
+      await navigator.clipboard.writeText(JSON.stringify(this.report || await PushClient.diagnostics(), null, 2));
+      button.classList.add('btn-success');
+      setTimeout(() => button.classList.remove('btn-success'), 2000);
     } catch (error) {
-      console.error('PushSettings: Error checking subscription:', error);
+      NotifyLog.warn('Could not copy the diagnostics report:', error);
     }
+  }
+};
+
+// Keeps the app badge in sync with an unread counter rendered by the server,
+// e.g. `<span phx-hook="AppBadgeHook" id="notifications-badge" data-count={@count}>`
+NotifyHooks.AppBadgeHook = {
+  mounted() {
+    this.sync();
   },
 
-  async requestPushPermission(vapidKey) {
-    try {
-      if (!this.swRegistration) {
-        await this.initServiceWorker();
-      }
+  updated() {
+    this.sync();
+  },
 
-      const permission = await Notification.requestPermission();
-      if (permission !== 'granted') {
-        this.pushEventTo(this.el, 'push_subscription_error', { error: 'Permission denied' });
-        return;
-      }
+  sync() {
+    AppBadge.set(this.el.dataset.count);
+  }
+};
 
-      const applicationServerKey = this.urlBase64ToUint8Array(vapidKey);
+// Once connected, asks the server which of the pushes in the offline inbox were already seen and drops them
+NotifyHooks.NotifyInboxHook = {
+  async mounted() {
+    const entries = await NotifyInbox.render(this.el);
+    const ids = entries.map((entry) => entry.id).filter(Boolean);
+    if (!ids.length) return;
 
-      const existingSub = await this.swRegistration.pushManager.getSubscription();
-      if (existingSub) {
-        await existingSub.unsubscribe();
-      }
+    this.pushEvent('Bonfire.Notify:inbox_reconcile', { ids }, (reply) => {
+      NotifyInbox.reconcile(this.el, reply?.seen || []);
+    });
+  }
+};
+
+// Shows push notifications as in-app toasts while this tab is focused (see `NotifyServiceWorker.deliver`),
+// and in browsers without Web Push, notifications from the SSE stream instead (see `NotifyStream`)
+NotifyHooks.PushToastHook = {
+  mounted() {
+    mirrorQuietHours(this.el);
+    mirrorCurrentUser(this.el);
 
-      const subscription = await this.swRegistration.pushManager.subscribe({
-        userVisibleOnly: true,
-        applicationServerKey: applicationServerKey
-      });
+    this._onToast = (event) => this.showToast(event.detail || {});
+    window.addEventListener('bonfire-notify:toast', this._onToast);
 
-      this.pushEventTo(this.el, 'push_subscription_created', {
-        subscription: subscription.toJSON()
-      });
+    if ('serviceWorker' in navigator) {
+      this._onMessage = (event) => {
+        if (event.data?.type !== 'bonfire-notify:push') return;
 
-    } catch (error) {
-      console.error('PushSettings: Subscription failed:', error);
-      this.pushEventTo(this.el, 'push_subscription_error', { error: error.message });
+        this.showToast(event.data.payload || {});
+        // Tell the worker it doesn't need to show a system notification
+        event.ports?.[0]?.postMessage({ shown: true });
+      };
+      navigator.serviceWorker.addEventListener('message', this._onMessage);
+    }
+
+    if (NotifyStream.isEnabled() || !('serviceWorker' in navigator && 'PushManager' in window)) {
+      NotifyStream.start();
     }
   },
 
-  async disablePush() {
-    try {
-      if (!this.swRegistration) return;
+  destroyed() {
+    window.removeEventListener('bonfire-notify:toast', this._onToast);
+    if (this._onMessage) {
+      navigator.serviceWorker.removeEventListener('message', this._onMessage);
+    }
+    NotifyStream.stop();
+  },
+
+  showToast({ title, body, icon, tag, url, recipient }) {
+    // Like system notifications, a newer toast with the same tag replaces the older one
+    if (tag) this.el.querySelector(`[data-tag="${CSS.escape(tag)}"]`)?.remove();
+
+    // For another account logged in on this browser: say so, and switch to it when opened
+    const forOther = recipient?.shared && recipient.id !== this.el.dataset.userId;
+
+    const toast = document.createElement('a');
+    toast.href = (forOther && recipient.switch_url) || url || '/';
+    toast.className = 'alert shadow-lg flex items-start gap-3 max-w-sm';
+    toast.setAttribute('role', 'status');
+    // Switching accounts needs a full page load
+    if (!forOther) {
+      toast.dataset.phxLink = 'redirect';
+      toast.dataset.phxLinkState = 'push';
+    }
+    if (tag) toast.dataset.tag = tag;
+
+    if (icon) {
+      const img = document.createElement('img');
+      img.src = icon;
+      img.alt = '';
+      img.className = 'w-8 h-8 rounded-full flex-shrink-0';
+      toast.appendChild(img);
+    }
+
+    const text = document.createElement('div');
+    text.className = 'min-w-0';
+    const heading = document.createElement('p');
+    heading.className = 'text-sm font-medium truncate';
+    heading.textContent = title || '';
+    const message = document.createElement('p');
+    message.className = 'text-xs opacity-70 line-clamp-2';
+    message.textContent = body || '';
+    text.append(heading, message);
+
+    if (forOther) {
+      const account = document.createElement('p');
+      account.className = 'text-xs font-medium text-primary truncate';
+      account.textContent = `For ${recipient.name || recipient.username}`;
+      text.appendChild(account);
+    }
+    toast.appendChild(text);
+
+    toast.addEventListener('click', () => toast.remove());
+    this.el.appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_DURATION);
+  }
+};
+
+// In-page "turn on notifications?" prompt (see `Bonfire.Notify.PushPromptLive`), shown when its trigger fires:
+// `sessions` (after `data-sessions` visits), `event` (when the server pushes `bonfire-notify:prompt`, or a
+// `bonfire-notify:prompt` window event) or `immediate`. Only clicking "Enable" shows the browser's own prompt.
+NotifyHooks.PushPromptHook = {
+  mounted() {
+    const { trigger = 'sessions', sessions = '3', snoozeDays = '7' } = this.el.dataset;
+    this.snoozeDays = Number(snoozeDays);
+    this.panel = this.el.querySelector('[data-push-prompt]');
+
+    PushClient.configure({ swUrl: this.el.dataset.swUrl, vapidKey: this.el.dataset.vapidKey });
+
+    this._onClick = (event) => this.handleClick(event);
+    this.el.addEventListener('click', this._onClick);
+
+    const visits = PushPrompt.countSession();
+    if (trigger === 'event') {
+      this.handleEvent('bonfire-notify:prompt', () => this.maybeShow());
+      this._onPrompt = () => this.maybeShow();
+      window.addEventListener('bonfire-notify:prompt', this._onPrompt);
+    } else if (trigger === 'immediate' || visits >= Number(sessions)) {
+      this.maybeShow();
+    }
+  },
+
+  destroyed() {
+    this.el.removeEventListener('click', this._onClick);
+    if (this._onPrompt) window.removeEventListener('bonfire-notify:prompt', this._onPrompt);
+  },
+
+  async maybeShow() {
+    if (!this.panel || PushPrompt.isSnoozed()) return;
 
-      const subscription = await this.swRegistration.pushManager.getSubscription();
+    const { supported, permission, subscribed } = await PushClient.getState();
+    if (!supported || subscribed) return;
+
+    // Once blocked the browser won't ask again, so explain how to unblock instead of offering a button that can't work
+    this.show(permission === 'denied' ? 'denied' : 'ask');
+  },
+
+  show(mode) {
+    this.panel.querySelectorAll('[data-push-prompt-mode]').forEach((el) => {
+      el.hidden = el.dataset.pushPromptMode !== mode;
+    });
+
+    if (mode === 'denied') {
+      const steps = [...this.panel.querySelectorAll('[data-push-unblock]')];
+      const match = steps.find((el) => el.dataset.pushUnblock === browserFamily()) ||
+        steps.find((el) => el.dataset.pushUnblock === 'Other');
+      steps.forEach((el) => { el.hidden = el !== match; });
+    }
+
+    this.panel.hidden = false;
+  },
+
+  hide() {
+    this.panel.hidden = true;
+  },
+
+  async handleClick(event) {
+    if (event.target.closest('[data-push-prompt-dismiss]')) {
+      PushPrompt.snooze(this.snoozeDays);
+      this.hide();
+    } else if (event.target.closest('[data-push-prompt-enable]')) {
+      this.hide();
+
+      // The push client registers the new subscription with the server
+      const subscription = await PushClient.enable().catch(() => null);
       if (subscription) {
-        const endpoint = subscription.endpoint;
-        await subscription.unsubscribe();
-        this.pushEventTo(this.el, 'push_subscription_disabled', { endpoint: endpoint });
+        PushPrompt.reset();
+      } else if (typeof Notification !== 'undefined' && Notification.permission === 'denied') {
+        this.show('denied');
       }
+    }
+  }
+};
+
+// Opens the composer with what was shared to the installed app (kept by `NotifyServiceWorker.receiveShare`),
+// see `Bonfire.Notify.ShareTargetLive`
+NotifyHooks.ShareTargetHook = {
+  async mounted() {
+    const share = this.takeServerShare() || await this.takeStoredShare();
+    if (!share || Date.now() - share.at > SHARE_MAX_AGE) return;
+
+    this.pushEvent('Bonfire.Notify:share', { text: this.shareText(share) }, () => {
+      this.attachFiles(share.files || []);
+    });
+  },
+
+  async takeStoredShare() {
+    if (!NotifyStore.isSupported()) return null;
+
+    const share = await NotifyStore.get('share').catch(() => null);
+    if (share) await NotifyStore.delete('share').catch(() => {});
+    return share;
+  },
+
+  takeServerShare() {
+    const cookie = document.cookie.split('; ').find((part) => part.startsWith(`${SHARE_COOKIE}=`));
+    if (!cookie) return null;
+
+    document.cookie = `${SHARE_COOKIE}=; path=/; max-age=0`;
+    try {
+      return JSON.parse(decodeURIComponent(cookie.slice(SHARE_COOKIE.length + 1).replace(/\+/g, ' ')));
     } catch (error) {
-      console.error('PushSettings: Error disabling push:', error);
-      this.pushEventTo(this.el, 'push_subscription_error', { error: error.message });
+      NotifyLog.warn('Invalid share:', error);
+      return null;
     }
   },
 
-  urlBase64ToUint8Array(base64String) {
-    const padding = '='.repeat((4 - base64String.length % 4) % 4);
-    const base64 = (base64String + padding)
-      .replace(/-/g, '+')
-      .replace(/_/g, '/');
-    const rawData = window.atob(base64);
-    return new Uint8Array([...rawData].map(char => char.charCodeAt(0)));
+  // Apps often repeat the link in the text, so only add what isn't there already
+  shareText({ title, text, url }) {
+    return [title, text, url]
+      .filter(Boolean)
+      .filter((part, i, parts) => !parts.some((other, j) => j !== i && other.includes(part) && other !== part))
+      .filter((part, i, parts) => parts.indexOf(part) === i)
+      .join('\n\n');
+  },
+
+  // Adds shared images to the composer's upload field, once it opened
+  attachFiles(files, attempts = 10) {
+    if (!files.length) return;
+
+    const input = document.querySelector('input[type="file"][data-phx-upload-ref]');
+    if (!input) {
+      if (attempts > 0) setTimeout(() => this.attachFiles(files, attempts - 1), 200);
+      return;
+    }
+
+    const transfer = new DataTransfer();
+    files.forEach((file) => transfer.items.add(file));
+    input.files = transfer.files;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
   }
 };
 
-NotifyHooks.PWAInstallBannerHook = {
+// "New version available" prompt (see `Bonfire.Notify.SWUpdateLive`), shown when an updated service worker
+// is waiting. Reloading asks it to take over, and every open tab reloads once it has.
+NotifyHooks.SWUpdateHook = {
   mounted() {
-    this.deferredPrompt = null;
-    this._handlers = {};
+    this.panel = this.el.querySelector('[data-sw-update]');
 
-    const banner = this.el;
-    const installBtn = this.el.querySelector('[data-pwa-install]');
-    const dismissBtn = this.el.querySelector('[data-pwa-dismiss]');
-    const iosInstructions = this.el.querySelector('[data-pwa-ios]');
+    this._onClick = (event) => this.handleClick(event);
+    this.el.addEventListener('click', this._onClick);
 
-    if (localStorage.getItem('pwa-install-dismissed') || PWAUtils.isPWAMode()) {
-      return;
-    }
+    this.removeUpdateListener = SWUpdate.onWaiting(() => {
+      if (this.panel) this.panel.hidden = false;
+    });
+  },
 
-    if (PWAUtils.isIOS()) {
-      banner.classList.remove('hidden');
-      if (iosInstructions) iosInstructions.classList.remove('hidden');
-      if (installBtn) installBtn.classList.add('hidden');
+  destroyed() {
+    this.el.removeEventListener('click', this._onClick);
+    this.removeUpdateListener?.();
+  },
+
+  async handleClick(event) {
+    if (event.target.closest('[data-sw-update-dismiss]')) {
+      this.panel.hidden = true;
+    } else if (event.target.closest('[data-sw-update-reload]')) {
+      event.target.closest('[data-sw-update-reload]').disabled = true;
+      // Another tab may have applied it already
+      if (!await SWUpdate.apply()) window.location.reload();
     }
+  }
+};
+
+// Live previews of an announcement's notification on the main platforms (see `Bonfire.Notify.AdminBroadcastLive`),
+// updated as the admin types in the composer matching `data-composer`, with a button to send it to their own devices
+NotifyHooks.PushPreviewHook = {
+  mounted() {
+    this.composer = this.el.dataset.composer || 'form[phx-submit="Bonfire.Notify:broadcast"]';
+    this.fields = {};
 
-    // Android/Desktop: show banner when beforeinstallprompt fires
-    this._handlers.beforeinstallprompt = (e) => {
-      e.preventDefault();
-      this.deferredPrompt = e;
-      banner.classList.remove('hidden');
-      if (iosInstructions) iosInstructions.classList.add('hidden');
-      if (installBtn) installBtn.classList.remove('hidden');
+    // The composer opens elsewhere on the page, and may be opened after this mounts
+    this._onInput = (event) => this.handleInput(event.target);
+    document.addEventListener('input', this._onInput);
+    document.addEventListener('change', this._onInput);
+
+    this._onClick = (event) => {
+      if (event.target.closest('[data-push-preview-send]')) this.sendPreview();
     };
-    window.addEventListener('beforeinstallprompt', this._handlers.beforeinstallprompt);
+    this.el.addEventListener('click', this._onClick);
 
-    if (installBtn) {
-      this._handlers.installClick = async () => {
-        if (!this.deferredPrompt) return;
-        this.deferredPrompt.prompt();
-        const { outcome } = await this.deferredPrompt.userChoice;
-        this.deferredPrompt = null;
-        if (outcome === 'accepted') banner.classList.add('hidden');
-      };
-      installBtn.addEventListener('click', this._handlers.installClick);
-    }
+    document.querySelectorAll(`${this.composer} [name^="post[post_content]"]`)
+      .forEach((input) => this.handleInput(input, false));
+    this.render();
+  },
 
-    if (dismissBtn) {
-      this._handlers.dismissClick = () => {
-        banner.classList.add('hidden');
-        localStorage.setItem('pwa-install-dismissed', Date.now().toString());
-      };
-      dismissBtn.addEventListener('click', this._handlers.dismissClick);
-    }
+  destroyed() {
+    document.removeEventListener('input', this._onInput);
+    document.removeEventListener('change', this._onInput);
+    this.el.removeEventListener('click', this._onClick);
+  },
 
-    this._handlers.appinstalled = () => {
-      banner.classList.add('hidden');
-      this.deferredPrompt = null;
-    };
-    window.addEventListener('appinstalled', this._handlers.appinstalled);
+  handleInput(input, render = true) {
+    const field = PushPreview.fieldOf(input);
+    if (!field || !input.closest(this.composer)) return;
+
+    this.fields[field] = input.value;
+    if (render) this.render();
+  },
+
+  render() {
+    const message = PushPreview.message(this.fields, this.el.dataset.title);
+    const empty = !message.body;
+
+    this.el.querySelector('[data-push-preview-empty]')?.toggleAttribute('hidden', !empty);
+    this.el.querySelector('[data-push-preview-cards]')?.toggleAttribute('hidden', empty);
+    const send = this.el.querySelector('[data-push-preview-send]');
+    if (send && !this.sending) send.disabled = empty;
+    if (empty) return;
+
+    this.el.querySelectorAll('[data-push-preview]').forEach((card) => {
+      const { title, body, cut } = PushPreview.render(message, card.dataset.pushPreview);
+      card.querySelector('[data-preview-title]').textContent = title;
+      card.querySelector('[data-preview-body]').textContent = body;
+      card.querySelector('[data-preview-cut]')?.toggleAttribute('hidden', cut.length === 0);
+    });
+  },
+
+  sendPreview() {
+    const send = this.el.querySelector('[data-push-preview-send]');
+    this.sending = true;
+    send.disabled = true;
+
+    this.pushEvent('Bonfire.Notify:broadcast_preview', this.fields, () => {
+      this.sending = false;
+      this.render();
+    });
+  }
+};
+
+// Offers installing the app (see `Bonfire.Notify.PWAInstallBannerLive`) once the user visited `data-min-visits`
+// times on `data-min-days` different days. "Not now" hides it for `data-snooze-days`. Outcomes are reported
+// to the server (see `Bonfire.Notify.PWAInstalls`) so admins can see how many people install.
+NotifyHooks.PWAInstallBannerHook = {
+  mounted() {
+    const { snoozeDays = '30', minVisits = '3', minDays = '2' } = this.el.dataset;
+    this.snoozeDays = Number(snoozeDays);
+    this.engagement = { minVisits: Number(minVisits), minDays: Number(minDays) };
+
+    PWAInstall.countVisit();
+    if (PWAUtils.isPWAMode()) return;
+
+    this._onClick = (event) => this.handleClick(event);
+    this.el.addEventListener('click', this._onClick);
+
+    this.removeInstallListener = PWAInstall.onChange((type) => {
+      if (type === 'available') {
+        this.maybeShow();
+      } else if (type === 'appinstalled') {
+        reportInstall(this, 'appinstalled');
+        this.hide();
+      }
+    });
+
+    // Installing or dismissing in another tab hides the banner here too
+    this.removeChannelListener = NotifyChannel.subscribe(({ type }) => {
+      if (type === 'pwa-installed' || type === 'pwa-dismissed') this.hide();
+    });
+
+    this.maybeShow();
   },
 
   destroyed() {
-    if (this._handlers.beforeinstallprompt) {
-      window.removeEventListener('beforeinstallprompt', this._handlers.beforeinstallprompt);
-    }
-    if (this._handlers.appinstalled) {
-      window.removeEventListener('appinstalled', this._handlers.appinstalled);
-    }
-    if (this._handlers.installClick) {
-      this.el.querySelector('[data-pwa-install]')?.removeEventListener('click', this._handlers.installClick);
+    if (this._onClick) this.el.removeEventListener('click', this._onClick);
+    this.removeInstallListener?.();
+    this.removeChannelListener?.();
+  },
+
+  maybeShow() {
+    if (this.shown || PWAInstall.isSnoozed(this.snoozeDays) || !PWAInstall.isEngaged(this.engagement)) return;
+
+    const mode = this.mode();
+    if (!mode) return;
+
+    this.shown = true;
+    this.el.querySelectorAll('[data-pwa-mode]').forEach((el) => {
+      el.classList.toggle('hidden', el.dataset.pwaMode !== mode);
+    });
+    this.el.classList.remove('hidden');
+
+    // iOS has no install prompt, the banner explains how to add the app instead
+    if (mode === 'ios') reportInstall(this, 'ios_instructions');
+  },
+
+  // What the banner offers here (see `PWAUtils.getCapabilities`): the install button, the iOS steps,
+  // or leaving an in-app browser (where installing can't work) for the real one
+  mode() {
+    const { ios, install } = PWAUtils.getCapabilities();
+
+    switch (install.reason) {
+      case 'prompt':
+        return PWAInstall.hasPrompt() ? 'prompt' : null;
+      case 'add_to_home_screen':
+        return 'ios';
+      case 'in_app_browser':
+        return ios ? 'open_in_safari' : 'open_in_browser';
+      default:
+        return null;
     }
-    if (this._handlers.dismissClick) {
-      this.el.querySelector('[data-pwa-dismiss]')?.removeEventListener('click', this._handlers.dismissClick);
+  },
+
+  hide() {
+    this.el.classList.add('hidden');
+  },
+
+  async handleClick(event) {
+    if (event.target.closest('[data-pwa-dismiss]')) {
+      this.hide();
+      PWAInstall.snooze();
+      reportInstall(this, 'snoozed');
+      NotifyChannel.post('pwa-dismissed');
+    } else if (event.target.closest('[data-pwa-install]')) {
+      const outcome = await promptInstall(this);
+      // The browser won't show its prompt again until the next page load
+      if (outcome === 'dismissed') PWAInstall.snooze();
+      if (outcome) this.hide();
     }
-    this.deferredPrompt = null;
   }
 };
 
-export { NotifyHooks };
+export { NotifyHooks, PushClient, AppBadge, NotifyStream, NotifyInbox, SWUpdate, createMastoStreaming };
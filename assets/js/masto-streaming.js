@@ -0,0 +1,251 @@
+// Client for the Mastodon-compatible streaming WebSocket at `/api/v1/streaming`
+// (see `Bonfire.Notify.Web.MastoStreamingWebSocket`), for custom front-ends and the web UI.
+//
+// One socket is shared by all the streams subscribed to, and reconnects (re-subscribing them) on its own:
+//
+//   const streaming = createMastoStreaming({ accessToken });
+//   const tag = streaming.subscribe('hashtag', { tag: 'bonfire' });
+//   tag.on('update', (status) => ...);
+//   tag.on('delete', (id) => ...);
+//   tag.unsubscribe();
+//
+// Streams: `user`, `user:notification`, `public`, `public:local`, `public:remote` (and their `:media`
+// variants), `direct`, `hashtag` and `hashtag:local` (with a `tag`), and `list` (with a `list` id).
+
+import { NotifyLog } from "./notify-log";
+
+const STREAMING_PATH = '/api/v1/streaming';
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+
+function defaultUrl() {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}${STREAMING_PATH}`;
+}
+
+// Same keys as `MastoStreamingWebSocket.subscription_key/3`, e.g. `hashtag:bonfire` or `list:42`
+export function streamKey(stream, { tag, list } = {}) {
+  if ((stream === 'hashtag' || stream === 'hashtag:local') && tag) return `${stream}:${tag}`;
+  if (stream === 'list' && list) return `list:${list}`;
+  return stream;
+}
+
+// Frames name their stream as an array with its parameter, e.g. `["hashtag", "bonfire"]`
+function frameKey(stream) {
+  return Array.isArray(stream) ? stream.join(':') : stream;
+}
+
+// `payload` is itself JSON encoded, except for `delete` events where it's just the id
+export function parsePayload(payload) {
+  if (typeof payload !== 'string') return payload;
+
+  try {
+    return JSON.parse(payload);
+  } catch (_error) {
+    return payload;
+  }
+}
+
+function createEmitter() {
+  const handlers = new Map();
+
+  return {
+    on(event, callback) {
+      if (!handlers.has(event)) handlers.set(event, new Set());
+      handlers.get(event).add(callback);
+      return () => this.off(event, callback);
+    },
+
+    off(event, callback) {
+      handlers.get(event)?.delete(callback);
+    },
+
+    emit(event, ...args) {
+      handlers.get(event)?.forEach((callback) => {
+        try {
+          callback(...args);
+        } catch (error) {
+          NotifyLog.error('MastoStreaming: listener failed:', event, error);
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Creates a streaming client. Nothing connects until the first `subscribe()`.
+ *
+ * @param {Object} options
+ * @param {String} [options.url] - WebSocket URL, defaults to this instance's `/api/v1/streaming`
+ * @param {String|Function} [options.accessToken] - OAuth token, or a function returning one (called on each connect)
+ */
+export function createMastoStreaming({ url, accessToken } = {}) {
+  const client = createEmitter();
+  // key => { stream, params, emitter, handles }
+  const streams = new Map();
+
+  let socket = null;
+  let connecting = false;
+  let retryDelay = MIN_RETRY_DELAY;
+  let retryTimer = null;
+  let closed = false;
+
+  // Reconnect right away rather than waiting for the backoff when the network comes back
+  function onOnline() {
+    if (!closed && !socket && streams.size > 0) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      retryDelay = MIN_RETRY_DELAY;
+      ensureConnected();
+    }
+  }
+
+  function send(message) {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }
+
+  function subscribeMessage(type, { stream, params }) {
+    return { type, stream, ...params };
+  }
+
+  async function connect() {
+    closed = false;
+    connecting = true;
+    window.addEventListener('online', onOnline);
+
+    let ws;
+    try {
+      const token = typeof accessToken === 'function' ? await accessToken() : accessToken;
+      // The token goes in the subprotocol header rather than the URL, so it doesn't end up in logs
+      ws = token ? new WebSocket(url || defaultUrl(), token) : new WebSocket(url || defaultUrl());
+    } finally {
+      connecting = false;
+    }
+
+    // Closed while waiting for the token
+    if (closed) return ws.close();
+    socket = ws;
+
+    ws.onopen = () => {
+      retryDelay = MIN_RETRY_DELAY;
+      streams.forEach((entry) => send(subscribeMessage('subscribe', entry)));
+      client.emit('open');
+    };
+
+    ws.onmessage = (event) => {
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch (_error) {
+        return;
+      }
+      if (!frame?.event) return;
+
+      const payload = parsePayload(frame.payload);
+      streams.get(frameKey(frame.stream))?.emitter.emit(frame.event, payload, frame);
+      client.emit('message', frame.event, payload, frame);
+    };
+
+    ws.onerror = (error) => client.emit('error', error);
+
+    ws.onclose = (event) => {
+      if (socket !== ws) return;
+      socket = null;
+      client.emit('close', event);
+
+      if (!closed && streams.size > 0) scheduleReconnect();
+    };
+  }
+
+  function scheduleReconnect() {
+    clearTimeout(retryTimer);
+    // Jitter so clients of a restarted instance don't all reconnect at once
+    const delay = retryDelay * (0.5 + Math.random() / 2);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect().catch((error) => {
+        client.emit('error', error);
+        scheduleReconnect();
+      });
+    }, delay);
+  }
+
+  function ensureConnected() {
+    if (!socket && !connecting && !retryTimer) {
+      connect().catch((error) => {
+        client.emit('error', error);
+        scheduleReconnect();
+      });
+    }
+  }
+
+  function release(key) {
+    const entry = streams.get(key);
+    if (!entry) return;
+
+    entry.handles -= 1;
+    if (entry.handles > 0) return;
+
+    streams.delete(key);
+    send(subscribeMessage('unsubscribe', entry));
+
+    // Nothing left to listen to
+    if (streams.size === 0) client.close();
+  }
+
+  /**
+   * Subscribes to a stream, returning its event emitter (`on`, `off`) and an `unsubscribe()` function.
+   * Subscribing to the same stream again shares the server subscription.
+   *
+   * @param {String} stream - e.g. `user`, `user:notification`, `public`, `hashtag` or `list`
+   * @param {Object} [params] - `{ tag }` for hashtag streams or `{ list }` for list streams
+   */
+  client.subscribe = (stream, params = {}) => {
+    const key = streamKey(stream, params);
+    let entry = streams.get(key);
+
+    if (!entry) {
+      const streamParams = {};
+      if (params.tag) streamParams.tag = params.tag;
+      if (params.list) streamParams.list = String(params.list);
+
+      entry = { stream, params: streamParams, emitter: createEmitter(), handles: 0 };
+      streams.set(key, entry);
+      send(subscribeMessage('subscribe', entry));
+    }
+    entry.handles += 1;
+    ensureConnected();
+
+    let released = false;
+    return {
+      key,
+      on: (event, callback) => entry.emitter.on(event, callback),
+      off: (event, callback) => entry.emitter.off(event, callback),
+      unsubscribe() {
+        if (released) return;
+        released = true;
+        release(key);
+      }
+    };
+  };
+
+  client.isConnected = () => socket?.readyState === WebSocket.OPEN;
+
+  /**
+   * Closes the socket and stops reconnecting. Subscribing again reconnects.
+   */
+  client.close = () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    window.removeEventListener('online', onOnline);
+
+    const ws = socket;
+    socket = null;
+    ws?.close();
+  };
+
+  return client;
+}
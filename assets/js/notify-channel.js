@@ -0,0 +1,50 @@
+// Same-origin BroadcastChannel that tabs and the notification service worker use to tell each other
+// about push subscription, permission and install changes, so every open page can update at once.
+
+import { NotifyLog } from "./notify-log";
+
+const CHANNEL_NAME = 'bonfire-notify';
+
+let channel = null;
+const listeners = new Set();
+
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => {
+      if (!event.data?.type) return;
+
+      listeners.forEach((callback) => {
+        try {
+          callback(event.data);
+        } catch (error) {
+          NotifyLog.error('NotifyChannel: listener failed:', error);
+        }
+      });
+    };
+  }
+  return channel;
+}
+
+export const NotifyChannel = {
+  /**
+   * Sends `{type, ...detail}` to the other tabs and the service worker (not to this context).
+   * Details must be structured-cloneable, e.g. endpoints rather than PushSubscription objects.
+   */
+  post(type, detail = {}) {
+    try {
+      getChannel()?.postMessage({ type, ...detail });
+    } catch (error) {
+      NotifyLog.error('NotifyChannel: could not post', type, error);
+    }
+  },
+
+  /**
+   * Calls `callback({type, ...detail})` for messages from other contexts. Returns a function to stop listening.
+   */
+  subscribe(callback) {
+    getChannel();
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  }
+};
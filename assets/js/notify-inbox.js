@@ -0,0 +1,124 @@
+// "Received while you were away" list of the pushes the service worker kept in IndexedDB (see
+// `NotifyStore.addToInbox`), so notifications can still be caught up on after dismissing them, or offline.
+//
+// It's rendered into `Bonfire.Notify.NotifyInboxLive` as soon as the page loads, without waiting for
+// the LiveView socket. Once connected, `NotifyInboxHook` drops what the server says was already seen.
+// Each element only lists the pushes sent to the user in its `data-user-id`.
+
+import { NotifyStore } from "./notify-store";
+import { NotifyLog } from "./notify-log";
+
+const SELECTOR = '[data-notify-inbox]';
+
+export const NotifyInbox = {
+  isSupported() {
+    return NotifyStore.isSupported();
+  },
+
+  async entries(userId) {
+    if (!this.isSupported() || !userId) return [];
+
+    try {
+      return await NotifyStore.inbox(userId);
+    } catch (error) {
+      NotifyLog.warn('NotifyInbox: could not read the inbox:', error);
+      return [];
+    }
+  },
+
+  // Renders into every inbox element on the page
+  renderAll() {
+    document.querySelectorAll(SELECTOR).forEach((el) => this.render(el));
+  },
+
+  async render(el, entries = null) {
+    this.bind(el);
+
+    const list = el.querySelector('[data-notify-inbox-list]');
+    const panel = el.querySelector('[data-notify-inbox-panel]') || el;
+    if (!list) return [];
+
+    entries = entries || await this.entries(el.dataset.userId);
+    list.replaceChildren(...entries.map((entry) => this.renderEntry(entry)));
+    panel.hidden = entries.length === 0;
+
+    return entries;
+  },
+
+  renderEntry({ key, title, body, icon, url, received_at }) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = url || '/';
+    link.dataset.notifyInboxKey = key;
+    link.className = 'flex items-start gap-3 p-2 rounded hover:bg-base-200';
+
+    if (icon) {
+      const img = document.createElement('img');
+      img.src = icon;
+      img.alt = '';
+      img.className = 'w-8 h-8 rounded-full';
+      link.appendChild(img);
+    }
+
+    const text = document.createElement('div');
+    text.className = 'flex-1 min-w-0';
+
+    const heading = document.createElement('div');
+    heading.className = 'font-medium truncate';
+    heading.textContent = title;
+    text.appendChild(heading);
+
+    if (body) {
+      const content = document.createElement('div');
+      content.className = 'text-sm opacity-80 line-clamp-2';
+      content.textContent = body;
+      text.appendChild(content);
+    }
+
+    const time = document.createElement('time');
+    time.className = 'text-xs opacity-60';
+    time.dateTime = new Date(received_at).toISOString();
+    time.textContent = new Date(received_at).toLocaleString();
+    text.appendChild(time);
+
+    link.appendChild(text);
+    item.appendChild(link);
+    return item;
+  },
+
+  // Opening an entry or dismissing the list removes them from the inbox. Works before the socket connects.
+  bind(el) {
+    if (el.dataset.notifyInboxBound) return;
+    el.dataset.notifyInboxBound = 'true';
+
+    el.addEventListener('click', (event) => {
+      if (event.target.closest('[data-notify-inbox-clear]')) {
+        event.preventDefault();
+        NotifyStore.clearInbox(el.dataset.userId)
+          .catch((error) => NotifyLog.warn('NotifyInbox: could not clear the inbox:', error))
+          .then(() => this.render(el, []));
+        return;
+      }
+
+      const link = event.target.closest('[data-notify-inbox-key]');
+      if (link) {
+        NotifyStore.deleteFromInbox([{ key: Number(link.dataset.notifyInboxKey) }])
+          .catch((error) => NotifyLog.warn('NotifyInbox: could not remove entry:', error));
+      }
+    });
+  },
+
+  /**
+   * Drops the entries the server reports as already seen and re-renders.
+   *
+   * @param {HTMLElement} el
+   * @param {Array<String>} seenIds
+   */
+  async reconcile(el, seenIds) {
+    if (seenIds?.length) {
+      await NotifyStore.removeFromInbox(seenIds, el.dataset.userId)
+        .catch((error) => NotifyLog.warn('NotifyInbox: could not update the inbox:', error));
+    }
+    return this.render(el);
+  }
+};
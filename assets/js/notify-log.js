@@ -0,0 +1,78 @@
+// Leveled logger for the notification scripts, quiet (warnings and errors only) by default.
+// To debug push issues, run `BonfireNotify.log.setLevel('debug')` in the console (remembered for this browser).
+// The level is mirrored to IndexedDB for the service worker, which has no localStorage.
+
+import { NotifyStore } from "./notify-store";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'warn';
+const LEVEL_KEY = 'bonfire-notify:log-level';
+
+function storedLevel() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage.getItem(LEVEL_KEY) : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+let level = LEVELS[storedLevel()] ? storedLevel() : DEFAULT_LEVEL;
+
+// In the service worker, so it only applies once loaded
+if (typeof localStorage === 'undefined' && NotifyStore.isSupported()) {
+  NotifyStore.get(LEVEL_KEY)
+    .then((stored) => {
+      if (LEVELS[stored]) level = stored;
+    })
+    .catch(() => {});
+}
+
+function log(method, args) {
+  if (LEVELS[method] < LEVELS[level]) return;
+  console[method]('[BonfireNotify]', ...args);
+}
+
+export const NotifyLog = {
+  get level() {
+    return level;
+  },
+
+  /**
+   * @param {'debug'|'info'|'warn'|'error'|'silent'} newLevel
+   */
+  setLevel(newLevel) {
+    if (!LEVELS[newLevel]) throw new Error(`Unknown log level: ${newLevel}`);
+    level = newLevel;
+
+    try {
+      if (newLevel === DEFAULT_LEVEL) {
+        localStorage.removeItem(LEVEL_KEY);
+      } else {
+        localStorage.setItem(LEVEL_KEY, newLevel);
+      }
+    } catch (_error) {
+      // only applies to this page then
+    }
+
+    if (NotifyStore.isSupported()) {
+      const saved = newLevel === DEFAULT_LEVEL ? NotifyStore.delete(LEVEL_KEY) : NotifyStore.set(LEVEL_KEY, newLevel);
+      saved.catch(() => {});
+    }
+  },
+
+  debug(...args) {
+    log('debug', args);
+  },
+
+  info(...args) {
+    log('info', args);
+  },
+
+  warn(...args) {
+    log('warn', args);
+  },
+
+  error(...args) {
+    log('error', args);
+  }
+};
@@ -0,0 +1,159 @@
+// Small IndexedDB key/value store shared between the page and the notification service worker,
+// e.g. so the worker can re-subscribe on its own when the browser rotates the push subscription.
+// Also keeps recent pushes for the offline inbox (see `notify-inbox.js`) and the worker's unsent receipts.
+
+const DB_NAME = 'bonfire-notify';
+const DB_VERSION = 2;
+const KEYVAL = 'keyval';
+const INBOX = 'inbox';
+const RECEIPTS = 'receipts';
+const INBOX_LIMIT = 50;
+const INBOX_TTL = 7 * 24 * 60 * 60 * 1000;
+const MAX_QUEUED_RECEIPTS = 500;
+
+let dbPromise = null;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export const NotifyStore = {
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  open() {
+    if (!dbPromise) {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(KEYVAL)) req.result.createObjectStore(KEYVAL);
+        if (!req.result.objectStoreNames.contains(INBOX)) {
+          req.result.createObjectStore(INBOX, { keyPath: 'key', autoIncrement: true });
+        }
+        if (!req.result.objectStoreNames.contains(RECEIPTS)) {
+          req.result.createObjectStore(RECEIPTS, { keyPath: 'key', autoIncrement: true });
+        }
+      };
+      dbPromise = request(req).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  },
+
+  async transaction(store, mode, fn) {
+    const db = await this.open();
+    return request(fn(db.transaction(store, mode).objectStore(store)));
+  },
+
+  // Makes several changes to a store in one transaction, resolving once they're all committed
+  async batch(store, fn) {
+    const db = await this.open();
+    const tx = db.transaction(store, 'readwrite');
+    fn(tx.objectStore(store));
+
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  get(key) {
+    return this.transaction(KEYVAL, 'readonly', (store) => store.get(key));
+  },
+
+  set(key, value) {
+    return this.transaction(KEYVAL, 'readwrite', (store) => store.put(value, key));
+  },
+
+  delete(key) {
+    return this.transaction(KEYVAL, 'readwrite', (store) => store.delete(key));
+  },
+
+  // What the worker needs to prove ownership of the current subscription and renew it
+  rememberSubscription(subscription, applicationServerKey) {
+    const { endpoint, keys } = subscription.toJSON();
+    return this.set('subscription', { endpoint, auth: keys?.auth, applicationServerKey });
+  },
+
+  forgetSubscription() {
+    return this.delete('subscription');
+  },
+
+  // Queues receipts for the service worker to send, dropping the oldest beyond the limit
+  queueReceipts(receipts) {
+    return this.batch(RECEIPTS, (store) => {
+      receipts.forEach((receipt) => store.add(receipt));
+
+      store.count().onsuccess = (event) => {
+        let excess = event.target.result - MAX_QUEUED_RECEIPTS;
+        if (excess <= 0) return;
+
+        store.openCursor().onsuccess = ({ target }) => {
+          const cursor = target.result;
+          if (!cursor || excess-- <= 0) return;
+          cursor.delete();
+          cursor.continue();
+        };
+      };
+    });
+  },
+
+  // Queued receipts, oldest first, each with the `key` to dequeue it with
+  queuedReceipts() {
+    return this.transaction(RECEIPTS, 'readonly', (store) => store.getAll());
+  },
+
+  // Removes the receipts with these keys once sent, leaving any queued meanwhile
+  dequeueReceipts(keys) {
+    return this.batch(RECEIPTS, (store) => keys.forEach((key) => store.delete(key)));
+  },
+
+  /**
+   * Keeps a received push (`{id, user_id, title, body, icon, url, category}`) in the inbox, replacing an
+   * earlier one about the same object, then drops expired entries and the oldest beyond the limit.
+   */
+  async addToInbox(entry) {
+    if (entry.id) await this.removeFromInbox([entry.id], entry.user_id);
+    await this.transaction(INBOX, 'readwrite', (store) => store.add({ ...entry, received_at: Date.now() }));
+
+    const entries = await this.transaction(INBOX, 'readonly', (store) => store.getAll());
+    const cutoff = Date.now() - INBOX_TTL;
+    const stale = entries.filter((item, index) =>
+      item.received_at < cutoff || index < entries.length - INBOX_LIMIT
+    );
+    return this.deleteFromInbox(stale);
+  },
+
+  // Unexpired entries pushed to this user, newest first. Other accounts using the browser keep theirs.
+  async inbox(userId) {
+    const entries = await this.userInbox(userId);
+    const cutoff = Date.now() - INBOX_TTL;
+    return entries.filter((item) => item.received_at >= cutoff).reverse();
+  },
+
+  async userInbox(userId) {
+    const entries = await this.transaction(INBOX, 'readonly', (store) => store.getAll());
+    return entries.filter((item) => item.user_id === userId);
+  },
+
+  async removeFromInbox(ids, userId) {
+    const entries = await this.userInbox(userId);
+    return this.deleteFromInbox(entries.filter((item) => ids.includes(item.id)));
+  },
+
+  async clearInbox(userId) {
+    return this.deleteFromInbox(await this.userInbox(userId));
+  },
+
+  deleteFromInbox(entries) {
+    return Promise.all(
+      entries.map((item) => this.transaction(INBOX, 'readwrite', (store) => store.delete(item.key)))
+    );
+  }
+};
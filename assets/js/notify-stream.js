@@ -0,0 +1,175 @@
+// Fallback for browsers without Web Push (e.g. iOS Safari outside a home-screen install, or with
+// push services blocked): listens to `/api/v1-bonfire/streaming` (Server-Sent Events, see
+// `Bonfire.Notify.Web.StreamingController`) while a tab is open, and shows what comes in as
+// notifications or in-app toasts.
+
+import { AppBadge } from "./app-badge";
+import { NotifyLog } from "./notify-log";
+
+const STREAM_URL = '/api/v1-bonfire/streaming?stream=user:notification';
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+// Remembers that this browser needs the fallback, so it starts on every page and not only in settings
+const ENABLED_KEY = 'bonfire-notify:stream';
+
+const listeners = new Set();
+
+export const NotifyStream = {
+  url: STREAM_URL,
+  source: null,
+  retryDelay: MIN_RETRY_DELAY,
+  _retryTimer: null,
+
+  isSupported() {
+    return typeof EventSource !== 'undefined';
+  },
+
+  isRunning() {
+    return !!(this.source || this._retryTimer);
+  },
+
+  // Whether this browser was previously switched to the stream fallback
+  isEnabled() {
+    try {
+      return localStorage.getItem(ENABLED_KEY) === 'true';
+    } catch (_error) {
+      return false;
+    }
+  },
+
+  /**
+   * Connects (unless already connected), and remembers to do so on later page loads.
+   */
+  start() {
+    if (!this.isSupported() || this.isRunning()) return;
+
+    try {
+      localStorage.setItem(ENABLED_KEY, 'true');
+    } catch (_error) {
+      // private mode, the fallback just won't start on its own next time
+    }
+    this.connect();
+  },
+
+  /**
+   * Disconnects. Pass `{ forget: true }` to stop using the fallback on later page loads, e.g. once Web Push works.
+   */
+  stop({ forget = false } = {}) {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this.source?.close();
+    this.source = null;
+
+    if (forget) {
+      try {
+        localStorage.removeItem(ENABLED_KEY);
+      } catch (_error) {
+        // nothing was stored
+      }
+    }
+  },
+
+  connect() {
+    const source = new EventSource(this.url, { withCredentials: true });
+    this.source = source;
+
+    source.addEventListener('open', () => {
+      this.retryDelay = MIN_RETRY_DELAY;
+    });
+
+    source.addEventListener('notification', (event) => {
+      const data = this.parse(event);
+      if (data) this.show(data);
+      this.emit('notification', data);
+    });
+
+    source.addEventListener('unseen_count', (event) => {
+      const data = this.parse(event);
+      if (data) AppBadge.set(data.count);
+      this.emit('unseen_count', data);
+    });
+
+    source.addEventListener('message', (event) => {
+      this.emit('message', this.parse(event));
+    });
+
+    // The browser only retries some failures by itself, so take over reconnecting with backoff
+    source.addEventListener('error', () => {
+      if (this.source !== source) return;
+
+      source.close();
+      this.source = null;
+      this.scheduleReconnect();
+    });
+  },
+
+  scheduleReconnect() {
+    // Jitter so tabs of a restarted instance don't all reconnect at once
+    const delay = this.retryDelay * (0.5 + Math.random() / 2);
+    this.retryDelay = Math.min(this.retryDelay * 2, MAX_RETRY_DELAY);
+
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this.connect();
+    }, delay);
+  },
+
+  parse(event) {
+    try {
+      return JSON.parse(event.data);
+    } catch (_error) {
+      return null;
+    }
+  },
+
+  // System notification while the tab is in the background, in-app toast while it's visible
+  async show({ title, body, url, icon }) {
+    const payload = { title: title || 'Bonfire', body: body || '', icon, url: url || '/', tag: url };
+
+    if (document.visibilityState === 'visible' || !this.canNotify()) {
+      window.dispatchEvent(new CustomEvent('bonfire-notify:toast', { detail: payload }));
+      return;
+    }
+
+    const options = { body: payload.body, icon: payload.icon, tag: payload.tag, data: { url: payload.url } };
+
+    try {
+      // Mobile browsers only allow notifications shown through a service worker
+      const registration = await navigator.serviceWorker?.getRegistration();
+      if (registration) return await registration.showNotification(payload.title, options);
+
+      const notification = new Notification(payload.title, options);
+      notification.onclick = () => {
+        window.focus();
+        window.location.assign(payload.url);
+        notification.close();
+      };
+    } catch (error) {
+      NotifyLog.error('NotifyStream: could not show notification:', error);
+      window.dispatchEvent(new CustomEvent('bonfire-notify:toast', { detail: payload }));
+    }
+  },
+
+  canNotify() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+  },
+
+  /**
+   * Calls `callback({type, data})` for each `notification`, `unseen_count` or `message` event.
+   * Returns a function to stop listening.
+   */
+  onEvent(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  },
+
+  emit(type, data) {
+    listeners.forEach((callback) => {
+      try {
+        callback({ type, data });
+      } catch (error) {
+        NotifyLog.error('NotifyStream: listener failed:', error);
+      }
+    });
+  }
+};
@@ -0,0 +1,563 @@
+// Service worker handlers for the payloads sent by `Bonfire.Notify.WebPush.format_push_message/3`.
+//
+// Apps with their own worker can import these into it:
+//
+//   import { NotifyServiceWorker } from "./notify-sw";
+//   NotifyServiceWorker.install(self);
+//
+// Apps without one can bundle `service-worker.js` as a standalone worker.
+
+import { NotifyStore } from "./notify-store";
+import { NotifyChannel } from "./notify-channel";
+import { NotifyLog } from "./notify-log";
+
+const DEFAULT_TITLE = 'Bonfire';
+const ACTION_ENDPOINT = '/api/v1-bonfire/notify/action';
+const RENEW_ENDPOINT = '/api/v1-bonfire/notify/subscription';
+const RECEIPTS_ENDPOINT = '/api/v1-bonfire/notify/receipts';
+// Same as `@max_batch` in `Bonfire.Notify.PushReceipts`
+const RECEIPTS_BATCH = 100;
+// Background Sync tag for sending receipts queued while offline
+const RECEIPTS_SYNC_TAG = 'bonfire-notify-receipts';
+// How long a focused tab has to confirm it showed a toast before we show a system notification
+const TOAST_ACK_TIMEOUT = 1000;
+// Everything that arrives during quiet hours is merged into one silent notification
+const QUIET_TAG = 'bonfire-quiet-hours';
+const NOTIFICATIONS_URL = '/notifications';
+// Sent by pages when the user accepts an update, see `sw-update.js`
+const SKIP_WAITING_MESSAGE = 'bonfire-notify:skip-waiting';
+// The manifest's `share_target` (see `Bonfire.Notify.Manifest`), which the worker handles itself
+const SHARE_TARGET_PATH = '/notify/share';
+
+function minutes(time) {
+  const [hours, mins] = String(time).split(':').map(Number);
+  return hours * 60 + mins;
+}
+
+// Quiet hours can span midnight, e.g. 22:00 to 07:00
+export function inQuietHours(start, end, now = new Date()) {
+  if (!start || !end || start === end) return false;
+
+  const current = now.getHours() * 60 + now.getMinutes();
+  const from = minutes(start);
+  const to = minutes(end);
+  return from < to ? current >= from && current < to : current >= from || current < to;
+}
+
+// Pushes from different people about the same thing are merged into one notification, e.g.
+// "Alice, Bob and 8 others liked your post". Likes and boosts are grouped per post (by `tag`), follows all together.
+const GROUPS = {
+  likes: { summary: 'liked your post', perObject: true },
+  boosts: { summary: 'boosted your post', perObject: true },
+  follows: { summary: 'followed you', perObject: false }
+};
+// Enough to count distinct people without the notification data growing unbounded
+const MAX_GROUP_ACTORS = 100;
+// Actions about a single person, which make no sense on a group
+const ACTOR_ACTIONS = ['reply', 'follow'];
+
+function groupTag(payload) {
+  const category = payload.data?.category;
+  const group = GROUPS[category];
+  // Without an actor ID we couldn't tell whether someone new was added
+  if (!group || !payload.data.actor_name || !payload.data.actor_id) return null;
+
+  // Don't merge notifications for different accounts sharing this browser
+  const recipient = payload.data.recipient;
+  const prefix = recipient?.shared ? `${recipient.id}:${category}` : category;
+  if (!group.perObject) return prefix;
+  return payload.tag ? `${prefix}:${payload.tag}` : null;
+}
+
+// Adds the payload's actor to a group (as kept in the notification's `data.group`), newest first.
+// Beyond MAX_GROUP_ACTORS people we can't tell who's new, so the count stops there.
+function mergeGroup(group, { actor_id, actor_name }) {
+  const ids = group?.ids || [];
+  if (ids.includes(actor_id)) return group;
+
+  return {
+    ids: [actor_id, ...ids].slice(0, MAX_GROUP_ACTORS),
+    names: [actor_name, ...(group?.names || []).filter((name) => name !== actor_name)].slice(0, 3),
+    count: Math.min((group?.count || 0) + 1, MAX_GROUP_ACTORS)
+  };
+}
+
+// "Alice", "Alice and Bob", "Alice, Bob and Carol", or "Alice, Bob and 8 others"
+export function actorsSummary(names, count = names.length) {
+  if (count <= 1) return names[0];
+  if (count === 2) return `${names[0]} and ${names[1]}`;
+  if (count === 3 && names.length >= 3) return `${names[0]}, ${names[1]} and ${names[2]}`;
+
+  const others = count - 2;
+  return `${names[0]}, ${names[1]} and ${others} ${others === 1 ? 'other' : 'others'}`;
+}
+
+// Actions the server may allow in a payload's `data.actions`, see `Bonfire.Notify.PushActions`
+const ACTIONS = {
+  reply: { title: 'Reply', type: 'text', placeholder: 'Write a reply…', done: 'Reply sent' },
+  like: { title: 'Like', done: 'Liked' },
+  follow: { title: 'Follow back', done: 'Followed' },
+  mark_read: { title: 'Mark as read', done: null }
+};
+
+export const NotifyServiceWorker = {
+  install(scope = self) {
+    scope.addEventListener('push', (event) => this.handlePush(event, scope));
+    scope.addEventListener('notificationclick', (event) => this.handleNotificationClick(event, scope));
+    scope.addEventListener('notificationclose', (event) => this.handleNotificationClose(event, scope));
+    scope.addEventListener('sync', (event) => this.handleSync(event, scope));
+    scope.addEventListener('pushsubscriptionchange', (event) => this.handleSubscriptionChange(event, scope));
+    scope.addEventListener('message', (event) => this.handleMessage(event, scope));
+    scope.addEventListener('fetch', (event) => this.handleFetch(event, scope));
+  },
+
+  // Only answers shares, other requests go to the network (or the app's own worker handlers) as usual
+  handleFetch(event, scope = self) {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'POST' || url.origin !== scope.location.origin) return;
+    if (url.pathname !== SHARE_TARGET_PATH) return;
+
+    event.respondWith(this.receiveShare(event.request));
+  },
+
+  // Keeps what was shared for the page to open in the composer (see `ShareTargetHook`), then opens Bonfire
+  async receiveShare(request) {
+    try {
+      const form = await request.formData();
+      await NotifyStore.set('share', {
+        title: form.get('title') || '',
+        text: form.get('text') || '',
+        url: form.get('url') || '',
+        files: form.getAll('media').filter((file) => file instanceof File),
+        at: Date.now()
+      });
+    } catch (error) {
+      NotifyLog.debug('NotifyServiceWorker: Could not receive share:', error);
+    }
+    return Response.redirect('/', 303);
+  },
+
+  // An updated worker waits until every tab using the old one is closed, unless a page asks it not to
+  handleMessage(event, scope = self) {
+    if (event.data?.type === SKIP_WAITING_MESSAGE) scope.skipWaiting();
+  },
+
+  handlePush(event, scope = self) {
+    const payload = this.parsePayload(event.data);
+    event.waitUntil(Promise.all([
+      this.deliver(payload, scope),
+      this.updateBadge(payload.app_badge, scope),
+      this.keepInInbox(payload)
+    ]));
+  },
+
+  // So it can still be read after the OS notification is dismissed, see `notify-inbox.js`
+  async keepInInbox(payload) {
+    if (!payload.title && !payload.body) return;
+
+    try {
+      await NotifyStore.addToInbox({
+        id: payload.data?.id || null,
+        // so accounts sharing the browser only see their own, see `notify-inbox.js`
+        user_id: payload.data?.recipient?.id || null,
+        title: payload.title || DEFAULT_TITLE,
+        body: payload.body || '',
+        icon: payload.icon || null,
+        url: payload.data?.url || payload.url || '/',
+        category: payload.data?.category || null
+      });
+    } catch (error) {
+      NotifyLog.debug('NotifyServiceWorker: Could not keep notification in the inbox:', error);
+    }
+  },
+
+  // Hands the notification to a focused Bonfire tab to show as an in-app toast, or shows it on the OS
+  async deliver(payload, scope = self) {
+    if (!await this.deliverToast(payload, scope)) await this.showNotification(payload, scope);
+    return this.sendReceipt('shown', payload.data, scope);
+  },
+
+  async deliverToast(payload, scope = self) {
+    if (payload.foreground_toast === false || this.mustShowNotification(scope)) return false;
+
+    const client = await this.focusedClient(scope);
+    return !!client && this.postToast(client, payload);
+  },
+
+  // Resolves true once the page confirms it showed the toast, i.e. it has a `PushToastHook` mounted
+  postToast(client, payload) {
+    return new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const timeout = setTimeout(() => resolve(false), TOAST_ACK_TIMEOUT);
+
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timeout);
+        resolve(event.data?.shown === true);
+      };
+
+      client.postMessage({
+        type: 'bonfire-notify:push',
+        payload: {
+          title: payload.title || DEFAULT_TITLE,
+          body: payload.body || '',
+          icon: payload.icon,
+          tag: payload.tag,
+          url: payload.data?.url || payload.url || '/',
+          recipient: payload.data?.recipient
+        }
+      }, [channel.port2]);
+    });
+  },
+
+  // Chromium and Firefox don't require a notification while a tab of the site is focused, but
+  // Safari revokes push permission after pushes that didn't show one, so we never skip it there
+  mustShowNotification(scope = self) {
+    const userAgent = scope.navigator?.userAgent || '';
+    return /safari/i.test(userAgent) && !/chrome|chromium|android/i.test(userAgent);
+  },
+
+  async focusedClient(scope = self) {
+    const windows = await scope.clients.matchAll({ type: 'window' });
+    return windows.find((client) =>
+      client.focused &&
+      client.visibilityState === 'visible' &&
+      new URL(client.url).origin === scope.location.origin
+    );
+  },
+
+  handleNotificationClick(event, scope = self) {
+    const notification = event.notification;
+    notification.close();
+    event.waitUntil(this.sendReceipt('clicked', notification.data, scope));
+
+    if (event.action && ACTIONS[event.action]) {
+      event.waitUntil(this.performAction(event.action, notification, event.reply, scope));
+    } else {
+      event.waitUntil(this.recipientUrl(notification.data).then((url) => this.openUrl(url, scope)));
+    }
+  },
+
+  // On a browser shared by several accounts (see `Bonfire.Notify.WebPush.put_recipient_data/3`), opens the
+  // notification through the recipient's account switch unless the pages last said they're the active one
+  async recipientUrl(data) {
+    const recipient = data?.recipient;
+    if (!recipient?.shared || !recipient.switch_url) return data?.url;
+
+    const currentUser = await NotifyStore.get('current_user').catch(() => null);
+    return currentUser === recipient.id ? data.url : recipient.switch_url;
+  },
+
+  handleNotificationClose(event, scope = self) {
+    event.waitUntil(this.sendReceipt('closed', event.notification.data, scope));
+  },
+
+  handleSync(event, scope = self) {
+    if (event.tag === RECEIPTS_SYNC_TAG) event.waitUntil(this.flushReceipts(scope));
+  },
+
+  // Reports that a notification was `shown`, `clicked` or `closed` (see `Bonfire.Notify.PushReceipts`),
+  // queueing it to send with Background Sync when offline
+  async sendReceipt(event, data, scope = self) {
+    // A quiet hours summary stands for all the pushes it merged
+    const pushes = data?.summarised || (data?.id ? [data] : []);
+    if (!pushes.length) return;
+
+    try {
+      const at = Date.now();
+      await NotifyStore.queueReceipts(
+        pushes.map(({ id, category }) => ({ id, category: category || null, event, at }))
+      );
+      await this.flushReceipts(scope);
+    } catch (_error) {
+      // Browsers without Background Sync send the queue along with the next receipt instead
+      await scope.registration.sync?.register(RECEIPTS_SYNC_TAG).catch(() => {});
+    }
+  },
+
+  // Sends all queued receipts, one batch at a time. Rejects when offline, so Background Sync retries.
+  flushReceipts(scope = self) {
+    const previous = this._flushing || Promise.resolve();
+    this._flushing = previous.catch(() => {}).then(() => this.sendQueuedReceipts(scope));
+    return this._flushing;
+  },
+
+  async sendQueuedReceipts(scope = self) {
+    const receipts = await NotifyStore.queuedReceipts();
+    if (!receipts.length) return;
+
+    // Authenticated like renewals, with the subscription's auth secret
+    const device = await NotifyStore.get('subscription');
+    if (!device?.endpoint || !device.auth) return;
+
+    // The server records up to RECEIPTS_BATCH per request, so only dequeue what each request sent
+    for (let i = 0; i < receipts.length; i += RECEIPTS_BATCH) {
+      const batch = receipts.slice(i, i + RECEIPTS_BATCH);
+
+      const response = await fetch(RECEIPTS_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({
+          endpoint: device.endpoint,
+          auth: device.auth,
+          receipts: batch.map(({ key, ...receipt }) => receipt)
+        })
+      });
+      // 404 means the device was removed, so nobody will ever accept these
+      if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`);
+
+      await NotifyStore.dequeueReceipts(batch.map(({ key }) => key));
+    }
+  },
+
+  handleSubscriptionChange(event, scope = self) {
+    event.waitUntil(this.renewSubscription(event.oldSubscription, event.newSubscription, scope));
+  },
+
+  // Re-subscribes and reports the new endpoint, proving ownership of the old one with its auth secret
+  async renewSubscription(oldSubscription, newSubscription, scope = self) {
+    const stored = await NotifyStore.get('subscription').catch(() => null);
+    const old = oldSubscription
+      ? { endpoint: oldSubscription.endpoint, auth: oldSubscription.toJSON().keys?.auth }
+      : stored;
+
+    if (!old?.endpoint) return;
+
+    try {
+      const applicationServerKey =
+        oldSubscription?.options?.applicationServerKey || stored?.applicationServerKey;
+      const subscription = newSubscription ||
+        await scope.registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+
+      const response = await fetch(RENEW_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({
+          old_endpoint: old.endpoint,
+          old_auth: old.auth,
+          subscription: subscription.toJSON()
+        })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      await NotifyStore.rememberSubscription(subscription, applicationServerKey);
+      NotifyChannel.post('subscribed', { endpoint: subscription.endpoint, oldEndpoint: old.endpoint });
+    } catch (error) {
+      NotifyLog.warn('NotifyServiceWorker: Could not renew push subscription:', error);
+    }
+  },
+
+  // Calls the action endpoint with the payload's signed token, then confirms or reports failure
+  async performAction(action, notification, reply, scope = self) {
+    const data = notification.data || {};
+
+    // Browsers without inline replies just open the post to reply there
+    if (action === 'reply' && !reply) return this.openUrl(data.url, scope);
+
+    try {
+      const response = await fetch(ACTION_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ token: data.token, action: action, text: reply })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const result = await response.json().catch(() => ({}));
+      await this.updateBadge(result.app_badge, scope);
+
+      const done = ACTIONS[action].done;
+      if (done) {
+        await scope.registration.showNotification(done, {
+          body: notification.body,
+          icon: notification.icon,
+          tag: notification.tag,
+          silent: true,
+          data: { url: data.url }
+        });
+      }
+    } catch (error) {
+      NotifyLog.warn('NotifyServiceWorker: Notification action failed:', action, error);
+      await scope.registration.showNotification(`Could not ${ACTIONS[action].title.toLowerCase()}`, {
+        body: 'Tap to open Bonfire and try again',
+        icon: notification.icon,
+        tag: notification.tag,
+        data: { url: data.url }
+      });
+    }
+  },
+
+  // Sets the app icon badge to the unread count sent by the server, and tells open pages about it
+  async updateBadge(count, scope = self) {
+    if (typeof count !== 'number') return;
+
+    const nav = scope.navigator;
+    if (nav && 'setAppBadge' in nav) {
+      await (count > 0 ? nav.setAppBadge(count) : nav.clearAppBadge()).catch(() => {});
+    }
+
+    const windows = await scope.clients.matchAll({ type: 'window' });
+    windows.forEach((client) => client.postMessage({ type: 'bonfire-notify:badge', count }));
+  },
+
+  // Accepts the JSON payload (legacy or declarative), or falls back to using plain text as the body
+  parsePayload(data) {
+    if (!data) return {};
+
+    try {
+      const payload = data.json();
+      return payload && typeof payload === 'object' ? this.normalizePayload(payload) : { body: String(payload) };
+    } catch (_error) {
+      return { body: data.text() };
+    }
+  },
+
+  // Declarative Web Push payloads (`web_push: 8030`, see `Bonfire.Notify.WebPush.to_declarative/1`)
+  // describe the notification under `notification`, with the URL to open as `navigate`
+  normalizePayload(payload) {
+    if (payload.web_push !== 8030 || !payload.notification) return payload;
+
+    const { navigate, require_interaction, data, ...notification } = payload.notification;
+    return {
+      ...notification,
+      requireInteraction: require_interaction === true,
+      data: { ...(data || {}), url: navigate || data?.url },
+      app_badge: payload.app_badge,
+      foreground_toast: payload.foreground_toast
+    };
+  },
+
+  async showNotification(payload, scope = self) {
+    const quiet = await this.quietMode(payload);
+    if (quiet === 'silent') return this.showQuietSummary(payload, scope);
+    if (quiet === 'urgent') return this.showUrgent(payload, scope);
+
+    const tag = groupTag(payload);
+    if (tag) return this.showGrouped(payload, tag, scope);
+
+    return scope.registration.showNotification(
+      payload.title || DEFAULT_TITLE,
+      this.notificationOptions(payload)
+    );
+  },
+
+  // Updates the group's notification, only alerting again when someone new joined it. Clicking a
+  // group opens the notifications view rather than the last item.
+  async showGrouped(payload, tag, scope = self) {
+    const [previous] = await scope.registration.getNotifications({ tag });
+    const group = mergeGroup(previous?.data?.group, payload.data);
+    const options = { ...this.notificationOptions(payload), tag };
+
+    if (group.count === 1) {
+      return scope.registration.showNotification(payload.title || DEFAULT_TITLE, {
+        ...options,
+        data: { ...options.data, group }
+      });
+    }
+
+    const title = `${actorsSummary(group.names, group.count)} ${GROUPS[payload.data.category].summary}`;
+    if (options.actions) {
+      options.actions = options.actions.filter(({ action }) => !ACTOR_ACTIONS.includes(action));
+      if (!options.actions.length) delete options.actions;
+    }
+
+    return scope.registration.showNotification(title, {
+      ...options,
+      renotify: previous?.title !== title,
+      data: { ...options.data, group, url: NOTIFICATIONS_URL }
+    });
+  },
+
+  // During do-not-disturb or quiet hours (mirrored by the settings hooks, see `Bonfire.Notify.quiet_hours/1`):
+  // 'urgent' for the categories the user keeps sound for, otherwise 'silent'. Null the rest of the time.
+  async quietMode(payload, now = new Date()) {
+    const settings = await NotifyStore.get('quiet_hours').catch(() => null);
+    if (!settings) return null;
+    if (settings.do_not_disturb !== true && !inQuietHours(settings.start, settings.end, now)) return null;
+
+    return (settings.urgent || []).includes(payload.data?.category) ? 'urgent' : 'silent';
+  },
+
+  // Urgent notifications stay on their own with sound during quiet hours, rather than being grouped
+  // with (and maybe not renotifying like) earlier ones
+  showUrgent(payload, scope = self) {
+    const options = this.notificationOptions(payload);
+
+    return scope.registration.showNotification(payload.title || DEFAULT_TITLE, {
+      ...options,
+      silent: false,
+      renotify: Boolean(options.tag)
+    });
+  },
+
+  async showQuietSummary(payload, scope = self) {
+    const [previous] = await scope.registration.getNotifications({ tag: QUIET_TAG });
+    const count = (previous?.data?.count || 0) + 1;
+    const title = payload.title || DEFAULT_TITLE;
+    // So clicking or closing the summary sends receipts for each of the pushes in it
+    const summarised = [...(previous?.data?.summarised || [])];
+    if (payload.data?.id) summarised.push({ id: payload.data.id, category: payload.data.category || null });
+
+    return scope.registration.showNotification(count === 1 ? title : `${count} new notifications`, {
+      body: count === 1 ? payload.body || '' : `Latest: ${title}`,
+      icon: payload.icon,
+      tag: QUIET_TAG,
+      silent: true,
+      renotify: false,
+      data: { url: count === 1 ? payload.data?.url || '/' : NOTIFICATIONS_URL, count, summarised }
+    });
+  },
+
+  notificationOptions(payload) {
+    const recipient = payload.data?.recipient;
+    const options = {
+      body: payload.body || '',
+      data: { ...(payload.data || {}), url: payload.data?.url || payload.url || '/' },
+      requireInteraction: payload.requireInteraction === true
+    };
+
+    if (payload.icon) options.icon = payload.icon;
+    if (payload.tag) options.tag = payload.tag;
+    // Several accounts get notifications here, so say which one this is for
+    if (recipient?.shared && recipient.name) options.body = `To ${recipient.name}: ${options.body}`;
+
+    const actions = this.notificationActions(options.data);
+    if (actions.length) options.actions = actions;
+
+    return options;
+  },
+
+  // Only offer actions we can authenticate, up to what the platform can display
+  notificationActions(data) {
+    if (!data.token || !Array.isArray(data.actions)) return [];
+
+    const max = self.Notification?.maxActions ?? 2;
+    return data.actions
+      .filter((action) => ACTIONS[action])
+      .slice(0, max)
+      .map((action) => {
+        const { title, type, placeholder } = ACTIONS[action];
+        return type ? { action, title, type, placeholder } : { action, title };
+      });
+  },
+
+  // Focuses an open Bonfire tab (navigating it to the URL if needed), or opens a new one
+  async openUrl(url, scope = self) {
+    const target = new URL(url || '/', scope.location.origin).href;
+    const windows = await scope.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const sameOrigin = windows.filter((client) => new URL(client.url).origin === scope.location.origin);
+
+    const exact = sameOrigin.find((client) => client.url === target);
+    if (exact) return exact.focus();
+
+    const client = sameOrigin.find((client) => client.focused) || sameOrigin[0];
+    if (client) {
+      try {
+        const navigated = await client.navigate(target);
+        return (navigated || client).focus();
+      } catch (_error) {
+        // Uncontrolled clients can't be navigated, fall through to a new window
+      }
+    }
+
+    return scope.clients.openWindow(target);
+  }
+};
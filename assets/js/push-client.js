@@ -0,0 +1,405 @@
+// Promise-based web push client, shared by the LiveView hooks and exposed as `window.BonfireNotify`
+// so other extensions and themes can check or change this device's subscription:
+//
+//   const { subscribed, permission } = await BonfireNotify.getState();
+//   BonfireNotify.onChange(({ type, state }) => ...);
+//   await BonfireNotify.enable();
+//
+// Events: `subscribed`, `unsubscribed`, `permission-denied`, `permission-revoked` (in the browser's
+// site settings, after subscribing), `unsupported` and `error`.
+// Changes made in a page are reported to the server before listeners get them (with `reported` telling
+// whether it worked), so hooks and other scripts only need to update their UI.
+// Events are also relayed to other tabs, where listeners get them with `remote: true` (and
+// without the `subscription` object), so they only need to update their UI.
+
+import { NotifyStore } from "./notify-store";
+import { NotifyChannel } from "./notify-channel";
+import { NotifyLog } from "./notify-log";
+import { DeviceInfo } from "./device-info";
+import { collectDiagnostics } from "./push-diagnostics";
+
+const DEFAULT_SW_URL = '/pwabuilder-sw.js';
+const EVENTS = ['subscribed', 'unsubscribed', 'permission-denied', 'permission-revoked', 'unsupported', 'error'];
+// Events that change which devices the server should push to
+const REPORTED_EVENTS = ['subscribed', 'unsubscribed', 'permission-revoked'];
+
+const listeners = new Set();
+let stopRelay = null;
+
+function dispatch(event) {
+  listeners.forEach((callback) => {
+    try {
+      callback(event);
+    } catch (error) {
+      NotifyLog.error('listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Converts a url-safe base64 VAPID key into the format expected by `pushManager.subscribe`.
+ * @param {String} base64String
+ * @returns {Uint8Array}
+ */
+export function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - base64String.length % 4) % 4);
+  const base64 = (base64String + padding)
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  const rawData = atob(base64);
+  return new Uint8Array([...rawData].map(char => char.charCodeAt(0)));
+}
+
+/**
+ * Whether a push subscription was created with the given VAPID key.
+ * @param {PushSubscription} subscription
+ * @param {Uint8Array} applicationServerKey
+ * @returns {Boolean}
+ */
+export function applicationServerKeyMatches(subscription, applicationServerKey) {
+  const current = subscription.options?.applicationServerKey;
+  // Browsers that don't expose the key leave us nothing to compare
+  if (!current) return true;
+
+  const bytes = new Uint8Array(current);
+  return bytes.length === applicationServerKey.length &&
+    bytes.every((byte, i) => byte === applicationServerKey[i]);
+}
+
+export const PushClient = {
+  swUrl: DEFAULT_SW_URL,
+  vapidKey: null,
+  registration: null,
+  lastError: null,
+  log: NotifyLog,
+  _registering: null,
+  _permissionStatus: null,
+  _checkingPermission: null,
+
+  /**
+   * Sets the service worker URL and/or VAPID public key, usually from a hook's data attributes.
+   */
+  configure({ swUrl, vapidKey } = {}) {
+    if (swUrl) this.swUrl = swUrl;
+    if (vapidKey) this.vapidKey = vapidKey;
+    return this;
+  },
+
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+  },
+
+  // Browsers supporting Declarative Web Push (e.g. Safari) expose `window.pushManager`,
+  // and can show those pushes without waking the service worker
+  payloadFormat() {
+    return typeof window !== 'undefined' && 'pushManager' in window ? 'declarative' : 'legacy';
+  },
+
+  /**
+   * What to send the server when subscribing: the subscription, which payload format to push to it, and a
+   * description of the device for the user's device list (see `Bonfire.Notify.PushSubscription.parse_subscription_data/1`).
+   * @param {PushSubscription} subscription
+   */
+  async subscriptionData(subscription) {
+    const device = await DeviceInfo.describe().catch(() => null);
+    return { ...subscription.toJSON(), payload_format: this.payloadFormat(), device };
+  },
+
+  /**
+   * Tells the server this device subscribed (or stopped getting pushes), see `Bonfire.Notify.Web.DevicesController`.
+   * @returns {Promise<Boolean>} whether the server recorded it
+   */
+  async report(type, { subscription, oldEndpoint, endpoint } = {}) {
+    const [path, body] = type === 'subscribed'
+      ? ['/notify/devices', { subscription: await this.subscriptionData(subscription), old_endpoint: oldEndpoint }]
+      : ['/notify/devices/remove', { endpoint }];
+
+    try {
+      const response = await fetch(path, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': document.querySelector("meta[name='csrf-token']")?.content || ''
+        },
+        body: JSON.stringify(body)
+      });
+      // without a session we'd be redirected to the login page
+      if (!response.ok || response.redirected) throw new Error(`HTTP ${response.status}`);
+      return true;
+    } catch (error) {
+      this.lastError = error;
+      NotifyLog.error(`could not report ${type} to the server:`, error);
+      return false;
+    }
+  },
+
+  /**
+   * Registers the service worker once, and resolves with the ready registration.
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  register() {
+    if (!this.isSupported()) return Promise.resolve(null);
+
+    if (!this._registering) {
+      this._registering = navigator.serviceWorker.register(this.swUrl, { scope: '/' })
+        .then(() => navigator.serviceWorker.ready)
+        .then((registration) => {
+          this.registration = registration;
+          return registration;
+        })
+        .catch((error) => {
+          this._registering = null;
+          throw error;
+        });
+    }
+    return this._registering;
+  },
+
+  // In PWAs the PushManager may only be available on the registration, not on window
+  async pushManager() {
+    const registration = await this.register();
+    return registration?.pushManager || null;
+  },
+
+  async getSubscription() {
+    const pushManager = await this.pushManager();
+    return pushManager ? pushManager.getSubscription() : null;
+  },
+
+  /**
+   * @returns {Promise<{supported: Boolean, permission: String, subscribed: Boolean, endpoint: String|null}>}
+   */
+  async getState() {
+    const permission = typeof Notification !== 'undefined' ? Notification.permission : 'denied';
+    let pushManager = null;
+
+    try {
+      pushManager = await this.pushManager();
+    } catch (_error) {
+      // a failed registration means push can't work here either
+    }
+
+    if (!pushManager) {
+      return { supported: false, permission, subscribed: false, endpoint: null };
+    }
+
+    const subscription = await pushManager.getSubscription();
+    return {
+      supported: true,
+      permission,
+      subscribed: !!subscription,
+      endpoint: subscription?.endpoint || null
+    };
+  },
+
+  /**
+   * Asks for permission if needed and subscribes this device.
+   * Resolves with the new subscription, or null when unsupported or denied.
+   * @returns {Promise<PushSubscription|null>}
+   */
+  async enable({ vapidKey } = {}) {
+    if (vapidKey) this.vapidKey = vapidKey;
+
+    try {
+      const pushManager = await this.pushManager();
+      if (!pushManager) {
+        await this.emit('unsupported');
+        return null;
+      }
+
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        await this.emit('permission-denied', { permission });
+        return null;
+      }
+
+      const applicationServerKey = urlBase64ToUint8Array(this.vapidKey);
+
+      const existing = await pushManager.getSubscription();
+      const oldEndpoint = existing?.endpoint || null;
+      if (existing) await existing.unsubscribe();
+
+      const subscription = await pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: applicationServerKey
+      });
+      await NotifyStore.rememberSubscription(subscription, applicationServerKey).catch(() => {});
+
+      this.lastError = null;
+      await this.emit('subscribed', { subscription, oldEndpoint });
+      return subscription;
+    } catch (error) {
+      this.lastError = error;
+      NotifyLog.error('subscribing failed:', error);
+      await this.emit('error', { error });
+      throw error;
+    }
+  },
+
+  /**
+   * Unsubscribes this device. Resolves with the removed endpoint, if there was one.
+   * @returns {Promise<String|null>}
+   */
+  async disable() {
+    try {
+      const subscription = await this.getSubscription();
+      if (!subscription) return null;
+
+      const endpoint = subscription.endpoint;
+      await subscription.unsubscribe();
+      await NotifyStore.forgetSubscription().catch(() => {});
+
+      await this.emit('unsubscribed', { endpoint });
+      return endpoint;
+    } catch (error) {
+      this.lastError = error;
+      NotifyLog.error('unsubscribing failed:', error);
+      await this.emit('error', { error });
+      throw error;
+    }
+  },
+
+  /**
+   * Unsubscribes locally if the given endpoint is this device's (e.g. after it was removed elsewhere).
+   * @returns {Promise<Boolean>} whether this device was unsubscribed
+   */
+  async forget(endpoint) {
+    const subscription = await this.getSubscription();
+    if (!subscription || subscription.endpoint !== endpoint) return false;
+
+    await subscription.unsubscribe();
+    await NotifyStore.forgetSubscription().catch(() => {});
+    await this.emit('unsubscribed', { endpoint });
+    return true;
+  },
+
+  /**
+   * Re-subscribes transparently when the VAPID key changed since this device subscribed.
+   * Only happens when permission is already granted, so it never prompts.
+   * @returns {Promise<PushSubscription|null>} the new subscription if it was migrated
+   */
+  async migrate() {
+    if (!this.vapidKey || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+      return null;
+    }
+
+    const subscription = await this.getSubscription();
+    if (!subscription) return null;
+
+    const applicationServerKey = urlBase64ToUint8Array(this.vapidKey);
+    if (applicationServerKeyMatches(subscription, applicationServerKey)) return null;
+
+    const oldEndpoint = subscription.endpoint;
+    await subscription.unsubscribe();
+
+    const renewed = await this.registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: applicationServerKey
+    });
+    await NotifyStore.rememberSubscription(renewed, applicationServerKey).catch(() => {});
+
+    await this.emit('subscribed', { subscription: renewed, oldEndpoint });
+    return renewed;
+  },
+
+  /**
+   * Notices when notification permission was taken away (e.g. in the browser's site settings) since
+   * this device subscribed, then drops the local subscription and emits `permission-revoked` with its endpoint.
+   * @returns {Promise<Boolean>} whether it was revoked
+   */
+  checkPermission() {
+    if (!this._checkingPermission) {
+      this._checkingPermission = this._checkPermission().finally(() => {
+        this._checkingPermission = null;
+      });
+    }
+    return this._checkingPermission;
+  },
+
+  async _checkPermission() {
+    if (typeof Notification === 'undefined') return false;
+
+    const permission = Notification.permission;
+    if (permission === 'granted') return false;
+
+    // Some browsers drop the subscription along with the permission, so also check what we remembered
+    const subscription = await this.getSubscription().catch(() => null);
+    const stored = await NotifyStore.get('subscription').catch(() => null);
+    const endpoint = subscription?.endpoint || stored?.endpoint;
+    if (!endpoint) return false;
+
+    if (subscription) await subscription.unsubscribe().catch(() => {});
+    await NotifyStore.forgetSubscription().catch(() => {});
+
+    NotifyLog.info('notification permission revoked:', permission);
+    await this.emit('permission-revoked', { permission, endpoint });
+    return true;
+  },
+
+  /**
+   * Checks the permission again whenever it changes while the page is open.
+   */
+  async watchPermission() {
+    if (this._permissionStatus || !navigator.permissions?.query) return;
+
+    try {
+      this._permissionStatus = await navigator.permissions.query({ name: 'notifications' });
+      this._permissionStatus.addEventListener('change', () => this.checkPermission());
+    } catch (_error) {
+      // Some browsers can't query the notifications permission, so we only check on mount there
+    }
+  },
+
+  /**
+   * What this browser supports and how push is set up here, for troubleshooting (see `push-diagnostics.js`).
+   * @returns {Promise<Object>}
+   */
+  diagnostics() {
+    return collectDiagnostics(this.lastError);
+  },
+
+  /**
+   * Calls `callback({type, state, remote, ...detail})` on every event, including those relayed
+   * from other tabs or the service worker. Returns a function to stop listening.
+   */
+  onChange(callback) {
+    listeners.add(callback);
+
+    stopRelay = stopRelay || NotifyChannel.subscribe(async (message) => {
+      if (!EVENTS.includes(message.type)) return;
+
+      const state = await this.getState().catch(() => null);
+      dispatch({ ...message, state, remote: true });
+    });
+
+    return () => {
+      listeners.delete(callback);
+      if (listeners.size === 0 && stopRelay) {
+        stopRelay();
+        stopRelay = null;
+      }
+    };
+  },
+
+  async emit(type, detail = {}) {
+    if (REPORTED_EVENTS.includes(type)) {
+      detail = { ...detail, reported: await this.report(type, detail) };
+    }
+
+    const state = await this.getState().catch(() => null);
+    NotifyLog.debug(type, detail, state);
+    dispatch({ type, state, remote: false, ...detail });
+
+    NotifyChannel.post(type, {
+      endpoint: detail.endpoint || detail.subscription?.endpoint || null,
+      oldEndpoint: detail.oldEndpoint || null,
+      permission: detail.permission || state?.permission,
+      error: detail.error ? String(detail.error.message || detail.error) : undefined
+    });
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.BonfireNotify = PushClient;
+}
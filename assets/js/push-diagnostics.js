@@ -0,0 +1,82 @@
+// Builds a report of what this browser supports and how push is set up, shown in the settings
+// "Troubleshoot" panel (see `Bonfire.Notify.Settings.PushNotificationsLive`) so users can send it to support.
+
+import { PWAUtils } from "./pwa-utils";
+
+export function browserFamily(userAgent = navigator.userAgent) {
+  if (/Firefox\/|FxiOS\//.test(userAgent)) return 'Firefox';
+  if (/Edg(e|A|iOS)?\//.test(userAgent)) return 'Edge';
+  if (/OPR\/|Opera/.test(userAgent)) return 'Opera';
+  if (/SamsungBrowser\//.test(userAgent)) return 'Samsung Internet';
+  if (/Chrome\/|CriOS\//.test(userAgent)) return 'Chrome';
+  if (/Safari\//.test(userAgent)) return 'Safari';
+  return 'Other';
+}
+
+export function displayMode() {
+  if (PWAUtils.isIOSStandalone()) return 'standalone';
+  return ['fullscreen', 'standalone', 'minimal-ui', 'window-controls-overlay']
+    .find((mode) => window.matchMedia(`(display-mode: ${mode})`).matches) || 'browser';
+}
+
+function pushServiceHost(endpoint) {
+  try {
+    return endpoint ? new URL(endpoint).host : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+// Codes for the likely causes, explained to the user by `PushNotificationsLive`
+function hints(report) {
+  const found = [];
+
+  const { reason } = report.capabilities.push;
+
+  if (!report.secure_context) found.push('insecure_context');
+  if (['in_app_browser', 'ios_outdated', 'ios_not_installed'].includes(reason)) found.push(reason);
+  else if (!report.service_worker.supported) found.push('no_service_worker');
+  else if (!report.push_manager) found.push('no_push_manager');
+  if (report.permission === 'denied') found.push('permission_denied');
+  if (report.last_error?.name === 'AbortError') found.push('push_service_unreachable');
+  if (!report.online) found.push('offline');
+
+  return found;
+}
+
+/**
+ * @param {Error} [error] - the last error while subscribing, if any
+ * @returns {Promise<Object>}
+ */
+export async function collectDiagnostics(error = null) {
+  const supported = 'serviceWorker' in navigator;
+  const registration = supported ? await navigator.serviceWorker.getRegistration().catch(() => null) : null;
+  const worker = registration?.active || registration?.waiting || registration?.installing;
+  const subscription = await registration?.pushManager?.getSubscription().catch(() => null);
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    browser: browserFamily(),
+    user_agent: navigator.userAgent,
+    secure_context: window.isSecureContext === true,
+    display_mode: displayMode(),
+    capabilities: PWAUtils.getCapabilities(),
+    online: navigator.onLine,
+    service_worker: {
+      supported: supported,
+      registered: !!registration,
+      state: worker?.state || null,
+      scope: registration?.scope || null,
+      controlled: !!navigator.serviceWorker?.controller
+    },
+    push_manager: !!registration?.pushManager || 'PushManager' in window,
+    notification_api: typeof Notification !== 'undefined',
+    permission: typeof Notification !== 'undefined' ? Notification.permission : null,
+    subscribed: !!subscription,
+    push_service: pushServiceHost(subscription?.endpoint),
+    last_error: error ? { name: error.name || 'Error', message: error.message || String(error) } : null
+  };
+
+  report.hints = hints(report);
+  return report;
+}
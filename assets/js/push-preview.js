@@ -0,0 +1,66 @@
+// Mock previews of a push notification as the main platforms would show it, for the admin broadcast composer
+// (see `Bonfire.Notify.AdminBroadcastLive`), so admins notice text that would be cut off before sending.
+//
+// Limits are approximate: they're the characters that fit in a collapsed notification with default font
+// sizes, which vary with devices, languages and settings.
+
+export const PLATFORM_LIMITS = {
+  android: { title: 40, body: 90 },
+  ios: { title: 40, body: 110 },
+  macos: { title: 40, body: 85 },
+  windows: { title: 60, body: 120 }
+};
+
+const ELLIPSIS = '…';
+
+// The fields of the composer a broadcast notification is built from, see `Bonfire.Notify.format_push_message/3`
+const FIELD_PATTERN = /^post\[post_content\]\[(html_body|summary|name)\]$/;
+
+function textOnly(html) {
+  if (!html) return '';
+  if (!/[<&]/.test(html)) return html.trim();
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+export const PushPreview = {
+  /**
+   * Returns the field a composer input is for (`html_body`, `summary` or `name`), or `null`.
+   */
+  fieldOf(input) {
+    return input?.name?.match(FIELD_PATTERN)?.[1] || null;
+  },
+
+  /**
+   * The notification a post with these fields would send: the author's name as title (`fallbackTitle`),
+   * and the content warning, post title or text as body, like the server does.
+   */
+  message({ html_body, summary, name } = {}, fallbackTitle = '') {
+    return {
+      title: fallbackTitle,
+      body: (summary || '').trim() || (name || '').trim() || textOnly(html_body)
+    };
+  },
+
+  truncate(text, limit) {
+    const chars = Array.from(text || '');
+    if (chars.length <= limit) return { text: chars.join(''), cut: false };
+    return { text: chars.slice(0, limit - 1).join('').trimEnd() + ELLIPSIS, cut: true };
+  },
+
+  /**
+   * How `message` shows on `platform`: `{title, body, cut}` where `cut` lists the parts that don't fit.
+   */
+  render(message, platform) {
+    const limits = PLATFORM_LIMITS[platform] || PLATFORM_LIMITS.android;
+    const title = this.truncate(message.title, limits.title);
+    const body = this.truncate(message.body, limits.body);
+
+    return {
+      title: title.text,
+      body: body.text,
+      cut: [title.cut && 'title', body.cut && 'body'].filter(Boolean)
+    };
+  }
+};
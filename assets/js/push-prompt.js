@@ -0,0 +1,73 @@
+// Decides when to show the in-page "turn on notifications?" prompt (see `Bonfire.Notify.PushPromptLive`).
+// Browsers only show their own permission prompt until the user blocks it, so we only trigger it for
+// people who already said yes here, and remember "not now" rather than asking on every visit.
+
+const STATE_KEY = 'bonfire-notify:prompt';
+const SESSION_KEY = 'bonfire-notify:prompt-session';
+const DAY = 24 * 60 * 60 * 1000;
+// Stop asking after this many "not now"
+const MAX_DISMISSALS = 3;
+
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(STATE_KEY)) || {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+function save(state) {
+  try {
+    localStorage.setItem(STATE_KEY, JSON.stringify(state));
+  } catch (_error) {
+    // private mode, we'll just ask again next time
+  }
+}
+
+export const PushPrompt = {
+  state() {
+    return { sessions: 0, dismissals: 0, snoozedUntil: 0, ...load() };
+  },
+
+  /**
+   * Counts this visit, once per browsing session, and returns the number of sessions so far.
+   */
+  countSession() {
+    try {
+      if (sessionStorage.getItem(SESSION_KEY)) return this.state().sessions;
+      sessionStorage.setItem(SESSION_KEY, 'true');
+    } catch (_error) {
+      return this.state().sessions;
+    }
+
+    const state = this.state();
+    state.sessions += 1;
+    save(state);
+    return state.sessions;
+  },
+
+  isSnoozed(now = Date.now()) {
+    const { dismissals, snoozedUntil } = this.state();
+    return dismissals >= MAX_DISMISSALS || now < snoozedUntil;
+  },
+
+  /**
+   * Remembers "not now": we wait `snoozeDays` before asking again, twice as long after the next
+   * dismissal, and so on, until we stop asking.
+   */
+  snooze(snoozeDays = 7, now = Date.now()) {
+    const state = this.state();
+    state.dismissals += 1;
+    state.snoozedUntil = now + snoozeDays * DAY * 2 ** (state.dismissals - 1);
+    save(state);
+  },
+
+  // Once subscribed there's nothing left to ask
+  reset() {
+    try {
+      localStorage.removeItem(STATE_KEY);
+    } catch (_error) {
+      // nothing was stored
+    }
+  }
+};
@@ -0,0 +1,151 @@
+// Decides when to offer installing the app (see `Bonfire.Notify.PWAInstallBannerLive`), and shows the
+// browser's install prompt. Browsers fire `beforeinstallprompt` once per page load, usually before hooks
+// mount, so it's captured here once for every banner or button that wants it.
+
+import { PWAUtils } from "./pwa-utils";
+import { NotifyLog } from "./notify-log";
+
+const STATE_KEY = 'bonfire-notify:pwa-install';
+const SESSION_KEY = 'bonfire-notify:pwa-install-session';
+// Set by earlier versions of the banner, which never showed it again once dismissed
+const LEGACY_DISMISSED_KEY = 'pwa-install-dismissed';
+const DAY = 24 * 60 * 60 * 1000;
+
+let deferredPrompt = null;
+const listeners = new Set();
+
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(STATE_KEY)) || {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+function save(state) {
+  try {
+    localStorage.setItem(STATE_KEY, JSON.stringify(state));
+  } catch (_error) {
+    // private mode, we'll just count again next time
+  }
+}
+
+function today(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function emit(type) {
+  listeners.forEach((callback) => {
+    try {
+      callback(type);
+    } catch (error) {
+      NotifyLog.error('PWAInstall: listener failed:', error);
+    }
+  });
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('beforeinstallprompt', (event) => {
+    event.preventDefault();
+    deferredPrompt = event;
+    emit('available');
+  });
+
+  window.addEventListener('appinstalled', () => {
+    deferredPrompt = null;
+    emit('appinstalled');
+  });
+}
+
+export const PWAInstall = {
+  state() {
+    const state = { visits: 0, activeDays: 0, lastDay: null, dismissedAt: 0, ...load() };
+
+    if (!state.dismissedAt) {
+      try {
+        state.dismissedAt = Number(localStorage.getItem(LEGACY_DISMISSED_KEY)) || 0;
+      } catch (_error) {
+        // nothing was stored
+      }
+    }
+    return state;
+  },
+
+  /**
+   * Counts this visit, once per browsing session, and each day it happens on.
+   * Returns `{visits, activeDays}` so far.
+   */
+  countVisit(now = Date.now()) {
+    const state = this.state();
+
+    try {
+      if (sessionStorage.getItem(SESSION_KEY)) return state;
+      sessionStorage.setItem(SESSION_KEY, 'true');
+    } catch (_error) {
+      return state;
+    }
+
+    state.visits += 1;
+    if (state.lastDay !== today(now)) {
+      state.activeDays += 1;
+      state.lastDay = today(now);
+    }
+    save(state);
+    return state;
+  },
+
+  isEngaged({ minVisits = 3, minDays = 2 } = {}) {
+    const { visits, activeDays } = this.state();
+    return visits >= minVisits && activeDays >= minDays;
+  },
+
+  isSnoozed(snoozeDays = 30, now = Date.now()) {
+    const { dismissedAt } = this.state();
+    return !!dismissedAt && now < dismissedAt + snoozeDays * DAY;
+  },
+
+  // Remembers "not now", the banner comes back once the snooze period is over
+  snooze(now = Date.now()) {
+    save({ ...this.state(), dismissedAt: now });
+  },
+
+  hasPrompt() {
+    return !!deferredPrompt;
+  },
+
+  /**
+   * Shows the browser's install prompt. Resolves with `'accepted'`, `'dismissed'`, or `null` when
+   * the browser has no prompt to show (already used, installed, or not supported).
+   */
+  async prompt() {
+    if (!deferredPrompt) return null;
+
+    const promptEvent = deferredPrompt;
+    // The browser only lets each prompt be shown once
+    deferredPrompt = null;
+
+    try {
+      await promptEvent.prompt();
+      const { outcome } = await promptEvent.userChoice;
+      return outcome;
+    } catch (error) {
+      NotifyLog.warn('PWAInstall: install prompt failed:', error);
+      return null;
+    }
+  },
+
+  // "ios", "android" or "desktop", for install analytics
+  platform() {
+    if (PWAUtils.isIOS()) return 'ios';
+    return PWAUtils.isMobile() ? 'android' : 'desktop';
+  },
+
+  /**
+   * Calls `callback(type)` when the browser makes installing `'available'`, or once the app was
+   * installed (`'appinstalled'`). Returns a function to stop listening.
+   */
+  onChange(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  }
+};
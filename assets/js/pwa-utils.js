@@ -1,3 +1,21 @@
+// In-app browsers of social and messaging apps, where neither installing nor push notifications work
+const IN_APP_BROWSERS = [
+  ['Facebook', /FBAN|FBAV|FB_IAB/],
+  ['Instagram', /Instagram/],
+  ['Telegram', /Telegram/],
+  ['Twitter', /Twitter/],
+  ['LinkedIn', /LinkedInApp/],
+  ['Snapchat', /Snapchat/],
+  ['TikTok', /BytedanceWebview|musical_ly|TikTok/],
+  ['WeChat', /MicroMessenger/],
+  ['Line', /\bLine\//],
+  // Other apps embedding an Android WebView
+  ['Android WebView', /; wv\)/]
+];
+
+// iOS only allows Web Push from home screen apps, since 16.4
+const IOS_PUSH_VERSION = [16, 4];
+
 export const PWAUtils = {
   isStandalone() {
     return window.matchMedia('(display-mode: standalone)').matches;
@@ -26,22 +44,79 @@ export const PWAUtils = {
            window.matchMedia('(display-mode: fullscreen)').matches;
   },
 
-  promptToInstallPWA() {
-    let deferredPrompt = null;
-    window.addEventListener('beforeinstallprompt', (e) => {
-      e.preventDefault();
-      deferredPrompt = e;
-      const installBtn = document.getElementById('install-button');
-
-      if (installBtn) {
-        installBtn.addEventListener('click', async () => {
-          installBtn.disabled = true;
-          deferredPrompt.prompt();
-          installBtn.disabled = false;
-          installBtn.style.display = 'none';
-          deferredPrompt = null;
-        }, { once: true });
+  // Name of the in-app browser this page is open in, if any
+  inAppBrowser(userAgent = navigator.userAgent) {
+    const found = IN_APP_BROWSERS.find(([_name, pattern]) => pattern.test(userAgent));
+    if (found) return found[0];
+
+    // iOS apps embedding a WKWebView don't add the Safari token that Safari and other browsers have
+    if (this.isIOS() && !this.isIOSStandalone() && !/Safari\//.test(userAgent)) return 'iOS WebView';
+    return null;
+  },
+
+  // `[major, minor]` iOS version, or null when not on iOS
+  iosVersion(userAgent = navigator.userAgent) {
+    if (!this.isIOS()) return null;
+
+    // iPads ask for desktop sites by default, and only report their Safari version
+    const match = userAgent.match(/OS (\d+)_(\d+)/) || userAgent.match(/Version\/(\d+)\.(\d+)/);
+    return match ? [Number(match[1]), Number(match[2])] : null;
+  },
+
+  /**
+   * What this browser allows, detecting features first and only looking at the user agent to explain why
+   * something is missing.
+   *
+   * Install reasons: `installed`, `prompt` (the browser can show its install prompt), `add_to_home_screen`
+   * (iOS, from the Share menu), `in_app_browser` or `unsupported`.
+   *
+   * Push reasons: `supported`, `in_app_browser`, `ios_outdated` (before 16.4), `ios_not_installed`
+   * (iOS needs the app added to the home screen first), `insecure_context` or `unsupported`.
+   *
+   * @returns {{standalone: Boolean, ios: Boolean, inAppBrowser: String|null,
+   *   install: {eligible: Boolean, reason: String}, push: {eligible: Boolean, reason: String}}}
+   */
+  getCapabilities() {
+    const standalone = this.isPWAMode();
+    const ios = this.isIOS();
+    const inAppBrowser = standalone ? null : this.inAppBrowser();
+
+    return {
+      standalone,
+      ios,
+      inAppBrowser,
+      install: this.installCapability({ standalone, ios, inAppBrowser }),
+      push: this.pushCapability({ ios, inAppBrowser })
+    };
+  },
+
+  installCapability({ standalone, ios, inAppBrowser }) {
+    if (standalone) return { eligible: false, reason: 'installed' };
+    if (inAppBrowser) return { eligible: false, reason: 'in_app_browser' };
+    if ('BeforeInstallPromptEvent' in window || 'onbeforeinstallprompt' in window) {
+      return { eligible: true, reason: 'prompt' };
+    }
+    if (ios) return { eligible: true, reason: 'add_to_home_screen' };
+    return { eligible: false, reason: 'unsupported' };
+  },
+
+  pushCapability({ ios, inAppBrowser }) {
+    const hasPush = 'serviceWorker' in navigator && ('PushManager' in window || 'pushManager' in window);
+    if (hasPush && window.isSecureContext !== false && !inAppBrowser) {
+      return { eligible: true, reason: 'supported' };
+    }
+
+    if (inAppBrowser) return { eligible: false, reason: 'in_app_browser' };
+    if (window.isSecureContext === false) return { eligible: false, reason: 'insecure_context' };
+
+    if (ios) {
+      const version = this.iosVersion();
+      const [major, minor] = IOS_PUSH_VERSION;
+      if (version && (version[0] < major || (version[0] === major && version[1] < minor))) {
+        return { eligible: false, reason: 'ios_outdated' };
       }
-    });
+      return { eligible: false, reason: 'ios_not_installed' };
+    }
+    return { eligible: false, reason: 'unsupported' };
   }
 };
\ No newline at end of file
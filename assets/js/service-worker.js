@@ -0,0 +1,4 @@
+// Standalone notification service worker, for apps that don't ship their own
+import { NotifyServiceWorker } from "./notify-sw";
+
+NotifyServiceWorker.install(self);
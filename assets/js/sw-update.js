@@ -0,0 +1,112 @@
+// Notices when an updated service worker is installed but waiting for open tabs to close, which in an
+// installed PWA can take days, so pages can offer to switch to it right away (see `Bonfire.Notify.SWUpdateLive`).
+//
+// Only watches the registration made by `PushClient.register`, never registers the worker itself.
+
+import { NotifyLog } from "./notify-log";
+
+// Understood by `NotifyServiceWorker`, see `notify-sw.js`
+const SKIP_WAITING_MESSAGE = 'bonfire-notify:skip-waiting';
+// Long-lived tabs (e.g. an installed app left open) check for a new worker when shown again, at most this often
+const CHECK_INTERVAL = 60 * 60 * 1000;
+
+const listeners = new Set();
+let watching = false;
+let reloading = false;
+let lastCheck = Date.now();
+
+function waitingWorker(registration) {
+  // Without a controller the waiting worker is the first install, not an update
+  return navigator.serviceWorker.controller ? registration?.waiting || null : null;
+}
+
+function notify(callback, registration) {
+  try {
+    callback(registration);
+  } catch (error) {
+    NotifyLog.error('SWUpdate: listener failed:', error);
+  }
+}
+
+function emit(registration) {
+  listeners.forEach((callback) => notify(callback, registration));
+}
+
+export const SWUpdate = {
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+  },
+
+  /**
+   * Calls `callback(registration)` when an updated worker is waiting, including one that already was.
+   * Returns a function to stop listening.
+   */
+  onWaiting(callback) {
+    listeners.add(callback);
+
+    if (watching) {
+      // `watch` only emitted an update that was already waiting to the listeners it had then
+      navigator.serviceWorker.ready.then((registration) => {
+        if (listeners.has(callback) && waitingWorker(registration)) notify(callback, registration);
+      });
+    } else {
+      this.watch();
+    }
+    return () => listeners.delete(callback);
+  },
+
+  async watch() {
+    if (!this.isSupported() || watching) return;
+    watching = true;
+
+    // Once a new worker takes over (in any tab), reload so pages match it
+    if (navigator.serviceWorker.controller) {
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+      });
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && waitingWorker(registration)) emit(registration);
+      });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.checkForUpdate(registration);
+    });
+
+    if (waitingWorker(registration)) emit(registration);
+  },
+
+  async checkForUpdate(registration, now = Date.now()) {
+    if (now - lastCheck < CHECK_INTERVAL) return;
+    lastCheck = now;
+
+    try {
+      await registration.update();
+    } catch (error) {
+      NotifyLog.warn('SWUpdate: could not check for an update:', error);
+    }
+  },
+
+  /**
+   * Asks the waiting worker to take over. Open tabs reload once it has (see `watch`).
+   * Resolves false when there was no update waiting.
+   */
+  async apply() {
+    if (!this.isSupported()) return false;
+
+    const registration = await navigator.serviceWorker.getRegistration();
+    const worker = waitingWorker(registration);
+    if (!worker) return false;
+
+    worker.postMessage({ type: SKIP_WAITING_MESSAGE });
+    return true;
+  }
+};
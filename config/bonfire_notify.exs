@@ -2,3 +2,6 @@ import Config
 
 # Web push
 config :bonfire_notify, Bonfire.Notify.WebPush, adapter: Bonfire.Notify.WebPush.HttpAdapter
+
+# Service worker registered by the push hooks, see `assets/js/notify-sw.js`
+config :bonfire_notify, service_worker_url: "/pwabuilder-sw.js"
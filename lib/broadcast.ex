@@ -42,6 +42,57 @@ defmodule Bonfire.Notify.Broadcast do
     end
   end
 
+  @doc """
+  Whether the user may send announcements: admins, and moderators of the instance.
+  """
+  def can_broadcast?(user), do: check_permission(user) == :ok
+
+  @doc """
+  The push notification an announcement with these fields (`html_body`, `summary` and `name`, as
+  in the composer's `post_content`) would send, as `Bonfire.Notify.format_push_message/3` builds it.
+  """
+  def preview_message(admin, params) do
+    Bonfire.Notify.format_push_message(
+      %{
+        post_content: %{
+          summary: preview_field(params, :summary),
+          name: preview_field(params, :name),
+          html_body: preview_field(params, :html_body) || ""
+        },
+        notify_category: :broadcast
+      },
+      admin,
+      # so each new preview replaces the previous one on the device
+      tag: "broadcast-preview"
+    )
+  end
+
+  defp preview_field(params, field) do
+    case e(params, field, nil) || e(params, to_string(field), nil) do
+      value when is_binary(value) and value != "" -> value
+      _ -> nil
+    end
+  end
+
+  @doc """
+  Sends the notification an announcement would trigger (see `preview_message/2`) to the admin's
+  own devices only, so they can check how it looks before it goes to everyone.
+
+  Returns `{:ok, sent_count}`, or `{:error, :no_subscriptions}` when the admin has no device
+  getting announcements.
+  """
+  def send_preview(admin, params) do
+    with :ok <- check_permission(admin),
+         results when is_list(results) <-
+           Bonfire.Notify.WebPush.send_web_push(
+             [id(admin)],
+             preview_message(admin, params),
+             notify_category: :broadcast
+           ) do
+      {:ok, Enum.count(results, &match?({:ok, _, _}, &1))}
+    end
+  end
+
   defp check_permission(admin) do
     if Bonfire.Me.Accounts.is_admin?(admin) ||
          Bonfire.Boundaries.can?(admin, :moderate, :instance) do
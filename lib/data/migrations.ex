@@ -16,9 +16,14 @@ defmodule Bonfire.Notify.Migrations do
       add(:platform, :string)
       add(:user_agent, :text)
       add(:device_name, :string)
+      add(:browser, :string)
+      add(:os, :string)
+      add(:model, :string)
+      add(:installed, :boolean)
       add(:last_used_at, :utc_datetime)
       add(:last_status, :string)
       add(:last_error, :text)
+      add(:payload_format, :string, default: "legacy", null: false)
     end
 
     create(unique_index(:bonfire_notify_web_push_subscription, [:endpoint]))
@@ -31,6 +36,12 @@ defmodule Bonfire.Notify.Migrations do
     require Bonfire.Notify.NativePushDevice.Migration
     Bonfire.Notify.NativePushDevice.Migration.migrate_native_push_device(:up)
 
+    require Bonfire.Notify.PushReceipt.Migration
+    Bonfire.Notify.PushReceipt.Migration.migrate_push_receipt(:up)
+
+    require Bonfire.Notify.PWAInstallEvent.Migration
+    Bonfire.Notify.PWAInstallEvent.Migration.migrate_pwa_install_event(:up)
+
     execute("""
     CREATE TYPE notification_event AS ENUM (
       'CREATED',
@@ -42,6 +53,12 @@ defmodule Bonfire.Notify.Migrations do
   end
 
   def down do
+    require Bonfire.Notify.PWAInstallEvent.Migration
+    Bonfire.Notify.PWAInstallEvent.Migration.migrate_pwa_install_event(:down)
+
+    require Bonfire.Notify.PushReceipt.Migration
+    Bonfire.Notify.PushReceipt.Migration.migrate_push_receipt(:down)
+
     require Bonfire.Notify.NativePushDevice.Migration
     Bonfire.Notify.NativePushDevice.Migration.migrate_native_push_device(:down)
 
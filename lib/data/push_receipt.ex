@@ -0,0 +1,71 @@
+defmodule Bonfire.Notify.PushReceipt do
+  @moduledoc """
+  A report from the notification service worker that a push was shown, clicked or dismissed
+  on a device, see `Bonfire.Notify.PushReceipts`.
+  """
+
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  alias Bonfire.Notify.PushReceipt
+  alias Bonfire.Notify.PushSubscription
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @events [:shown, :clicked, :closed]
+
+  schema "bonfire_notify_push_receipt" do
+    belongs_to(:push_subscription, PushSubscription, type: :binary_id)
+    # the object the notification was about (`data.id` in the payload)
+    field(:object_id, :string)
+    field(:category, :string)
+    field(:event, Ecto.Enum, values: @events)
+    field(:occurred_at, :utc_datetime)
+
+    timestamps(type: :utc_datetime, updated_at: false)
+  end
+
+  def events, do: @events
+
+  def changeset(struct \\ %PushReceipt{}, attrs) do
+    struct
+    |> cast(attrs, [:push_subscription_id, :object_id, :category, :event, :occurred_at])
+    |> validate_required([:push_subscription_id, :object_id, :event])
+    |> validate_length(:object_id, max: 255)
+    |> validate_length(:category, max: 255)
+    |> assoc_constraint(:push_subscription)
+  end
+end
+
+defmodule Bonfire.Notify.PushReceipt.Migration do
+  @moduledoc false
+  use Ecto.Migration
+
+  def migrate_push_receipt(:up) do
+    create_if_not_exists table(:bonfire_notify_push_receipt, primary_key: false) do
+      add(:id, :binary_id, primary_key: true)
+
+      add(
+        :push_subscription_id,
+        references(:bonfire_notify_web_push_subscription,
+          type: :binary_id,
+          on_delete: :delete_all
+        ),
+        null: false
+      )
+
+      add(:object_id, :string, null: false)
+      add(:category, :string)
+      add(:event, :string, null: false)
+      add(:occurred_at, :utc_datetime)
+      timestamps(type: :utc_datetime, updated_at: false)
+    end
+
+    create_if_not_exists(index(:bonfire_notify_push_receipt, [:push_subscription_id]))
+    create_if_not_exists(index(:bonfire_notify_push_receipt, [:object_id]))
+    create_if_not_exists(index(:bonfire_notify_push_receipt, [:category, :inserted_at]))
+  end
+
+  def migrate_push_receipt(:down) do
+    drop_if_exists(table(:bonfire_notify_push_receipt))
+  end
+end
@@ -43,9 +43,18 @@ defmodule Bonfire.Notify.PushSubscription do
     field(:platform, :string)
     field(:user_agent, :string)
     field(:device_name, :string)
+    # what the browser reported about the device, see `Bonfire.Notify.UserPushSubscription` for
+    # the name users give it
+    field(:browser, :string)
+    field(:os, :string)
+    field(:model, :string)
+    # whether push was enabled from the installed app rather than a browser tab
+    field(:installed, :boolean)
     field(:last_used_at, :utc_datetime)
     field(:last_status, Ecto.Enum, values: [:success, :error, :expired, :pending])
     field(:last_error, :string)
+    # what push payloads this browser understands, see `Bonfire.Notify.WebPush.to_declarative/1`
+    field(:payload_format, Ecto.Enum, values: [:legacy, :declarative], default: :legacy)
   end
 
   @doc """
@@ -61,9 +70,14 @@ defmodule Bonfire.Notify.PushSubscription do
       :platform,
       :user_agent,
       :device_name,
+      :browser,
+      :os,
+      :model,
+      :installed,
       :last_used_at,
       :last_status,
-      :last_error
+      :last_error,
+      :payload_format
     ])
     |> validate_required([:endpoint, :auth_key, :p256dh_key])
     |> validate_inclusion(:last_status, [:success, :error, :expired, :pending])
@@ -75,19 +89,26 @@ defmodule Bonfire.Notify.PushSubscription do
   Returns an error tuple if the data structure is invalid.
 
   Supports both standard browser format and Mastodon API format:
-  - Browser: `%{"endpoint" => "...", "keys" => %{"p256dh" => "...", "auth" => "..."}}`
+  - Browser: `%{"endpoint" => "...", "keys" => %{"p256dh" => "...", "auth" => "..."}}`, optionally with
+    a `"payload_format"` (`"legacy"` or `"declarative"`) for browsers supporting Declarative Web Push,
+    and a `"device"` described by the browser (see `assets/js/device-info.js`), e.g.
+    `%{"browser" => "Firefox", "os" => "Linux", "model" => nil, "installed" => true, "user_agent" => "..."}`
   - Mastodon: `%{"subscription" => %{"endpoint" => "...", "keys" => %{...}}, "data" => %{"alerts" => %{...}, "policy" => "..."}}`
   """
-  def parse_subscription_data(%{
-        "endpoint" => endpoint,
-        "keys" => %{"p256dh" => p256dh, "auth" => auth}
-      }) do
+  def parse_subscription_data(
+        %{
+          "endpoint" => endpoint,
+          "keys" => %{"p256dh" => p256dh, "auth" => auth}
+        } = data
+      ) do
     {:ok,
      %{
        endpoint: endpoint,
        p256dh_key: p256dh,
        auth_key: auth
-     }}
+     }
+     |> put_payload_format(data["payload_format"])
+     |> put_device(data["device"])}
   end
 
   # Mastodon API format: subscription nested under "subscription" key with separate "data" for alerts/policy
@@ -116,6 +137,38 @@ defmodule Bonfire.Notify.PushSubscription do
     {:error, :invalid_subscription_data}
   end
 
+  defp put_payload_format(attrs, format) when format in ["legacy", "declarative"],
+    do: Map.put(attrs, :payload_format, String.to_existing_atom(format))
+
+  defp put_payload_format(attrs, _format), do: attrs
+
+  defp put_device(attrs, %{} = device) do
+    os = device_text(device["os"])
+
+    Map.merge(attrs, %{
+      browser: device_text(device["browser"]),
+      os: os,
+      model: device_text(device["model"]),
+      installed: device["installed"] == true,
+      user_agent: device_text(device["user_agent"], 500),
+      # same codes as devices registered through the Mastodon API, e.g. "macos" or "windows"
+      platform: os && os |> String.split(" ") |> List.first() |> String.downcase()
+    })
+  end
+
+  defp put_device(attrs, _device), do: attrs
+
+  defp device_text(text, max \\ 60)
+
+  defp device_text(text, max) when is_binary(text) do
+    case String.trim(text) do
+      "" -> nil
+      text -> String.slice(text, 0, max)
+    end
+  end
+
+  defp device_text(_text, _max), do: nil
+
   @doc """
   Returns the default alerts configuration.
   """
@@ -147,7 +200,8 @@ defmodule Bonfire.Notify.PushSubscription do
       },
       metadata: %{
         id: subscription.id,
-        user_id: user_id
+        user_id: user_id,
+        payload_format: subscription.payload_format
       }
     }
   end
@@ -208,7 +262,18 @@ defmodule Bonfire.Notify.PushSubscription do
         # Update keys if they changed
         existing
         |> changeset(
-          Map.take(attrs, [:auth_key, :p256dh_key, :platform, :user_agent, :device_name])
+          Map.take(attrs, [
+            :auth_key,
+            :p256dh_key,
+            :platform,
+            :user_agent,
+            :device_name,
+            :browser,
+            :os,
+            :model,
+            :installed,
+            :payload_format
+          ])
         )
         |> repo().update()
     end
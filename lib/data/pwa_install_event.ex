@@ -0,0 +1,53 @@
+defmodule Bonfire.Notify.PWAInstallEvent do
+  @moduledoc """
+  An install banner outcome reported by a browser (e.g. the install prompt was shown, or the
+  app was installed), see `Bonfire.Notify.PWAInstalls`.
+
+  Not linked to the user, only the kind of device (`"ios"`, `"android"` or `"desktop"`) is kept.
+  """
+
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  alias Bonfire.Notify.PWAInstallEvent
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @events [:prompted, :accepted, :dismissed, :snoozed, :appinstalled, :ios_instructions]
+  @platforms ["ios", "android", "desktop"]
+
+  schema "bonfire_notify_pwa_install_event" do
+    field(:event, Ecto.Enum, values: @events)
+    field(:platform, :string)
+
+    timestamps(type: :utc_datetime, updated_at: false)
+  end
+
+  def events, do: @events
+
+  def changeset(struct \\ %PWAInstallEvent{}, attrs) do
+    struct
+    |> cast(attrs, [:event, :platform])
+    |> validate_required([:event])
+    |> validate_inclusion(:platform, @platforms)
+  end
+end
+
+defmodule Bonfire.Notify.PWAInstallEvent.Migration do
+  @moduledoc false
+  use Ecto.Migration
+
+  def migrate_pwa_install_event(:up) do
+    create_if_not_exists table(:bonfire_notify_pwa_install_event, primary_key: false) do
+      add(:id, :binary_id, primary_key: true)
+      add(:event, :string, null: false)
+      add(:platform, :string)
+      timestamps(type: :utc_datetime, updated_at: false)
+    end
+
+    create_if_not_exists(index(:bonfire_notify_pwa_install_event, [:inserted_at]))
+  end
+
+  def migrate_pwa_install_event(:down) do
+    drop_if_exists(table(:bonfire_notify_pwa_install_event))
+  end
+end
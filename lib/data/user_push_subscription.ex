@@ -6,6 +6,12 @@ defmodule Bonfire.Notify.UserPushSubscription do
   per-user notification preferences (alerts, policy). Multiple users can
   share the same push endpoint (e.g. a shared browser).
 
+  `device_name` is what the user named the device in their device list, for them only.
+
+  `categories` holds the user's choices for this device among `Bonfire.Notify.categories/0`
+  (e.g. `%{"likes" => false}`), overriding their `[:push_notifications, category]` settings
+  there, see `category_enabled?/3`.
+
   Similar pattern to `Bonfire.Data.Social.FeedPublish`.
   """
 
@@ -22,9 +28,11 @@ defmodule Bonfire.Notify.UserPushSubscription do
     belongs_to(:push_subscription, PushSubscription, type: :binary_id, primary_key: true)
     field(:alerts, :map)
     field(:policy, :string)
+    field(:device_name, :string)
+    field(:categories, :map)
   end
 
-  @cast [:push_subscription_id, :alerts, :policy]
+  @cast [:push_subscription_id, :alerts, :policy, :device_name, :categories]
   @required [:push_subscription_id]
 
   def changeset(struct \\ %UserPushSubscription{}, params) do
@@ -32,9 +40,23 @@ defmodule Bonfire.Notify.UserPushSubscription do
     |> Changeset.cast(params, @cast)
     |> Changeset.validate_required(@required)
     |> Changeset.validate_inclusion(:policy, ["all", "follower", "followed", "none"])
+    |> Changeset.validate_length(:device_name, max: 60)
     |> Changeset.assoc_constraint(:push_subscription)
     |> Changeset.unique_constraint([:id, :push_subscription_id])
   end
+
+  @doc """
+  Whether this device gets push notifications of `category`: what the user chose for it, or
+  `default` (their user-wide setting) when they didn't.
+  """
+  def category_enabled?(%{categories: %{} = categories}, category, default) do
+    case Map.get(categories, to_string(category)) do
+      enabled when is_boolean(enabled) -> enabled
+      _ -> default
+    end
+  end
+
+  def category_enabled?(_user_sub, _category, default), do: default
 end
 
 defmodule Bonfire.Notify.UserPushSubscription.Migration do
@@ -61,6 +83,8 @@ defmodule Bonfire.Notify.UserPushSubscription.Migration do
 
         Ecto.Migration.add(:alerts, :map)
         Ecto.Migration.add(:policy, :string)
+        Ecto.Migration.add(:device_name, :string)
+        Ecto.Migration.add(:categories, :map)
 
         unquote_splicing(exprs)
       end
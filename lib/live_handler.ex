@@ -38,11 +38,12 @@ defmodule Bonfire.Notify.LiveHandler do
     end
   end
 
-  def handle_event("subscribe", %{"subscription" => subscription_data}, socket) do
+  def handle_event("subscribe", %{"subscription" => subscription_data} = params, socket) do
     current_user = current_user(socket)
 
     if current_user do
-      case WebPush.subscribe(id(current_user), subscription_data) do
+      # `old_endpoint` is sent when the device re-subscribed (e.g. after a VAPID key change)
+      case WebPush.resubscribe(id(current_user), params["old_endpoint"], subscription_data) do
         {:ok, subscription} ->
           broadcast_device_added(subscription)
           {:noreply, assign_flash(socket, :info, "Device subscribed successfully!")}
@@ -133,6 +134,33 @@ defmodule Bonfire.Notify.LiveHandler do
     {:noreply, stream(socket, :subscriptions, subscriptions, reset: true)}
   end
 
+  def handle_event("inbox_reconcile", %{"ids" => ids}, socket) when is_list(ids) do
+    {:reply, %{seen: Bonfire.Notify.seen_ids(current_user(socket), ids)}, socket}
+  end
+
+  # something shared to the installed app, see `Bonfire.Notify.ShareTargetLive`
+  def handle_event("share", %{"text" => text}, socket) when is_binary(text) do
+    _current_user = current_user_required!(socket)
+
+    socket =
+      Bonfire.UI.Common.SmartInput.LiveHandler.open_with_text_suggestion(text, [], socket)
+
+    {:reply, %{opened: true}, socket}
+  end
+
+  # Guests see the install banner too, so rather than requiring a user each page only counts once
+  # per event, which keeps a script from inflating the stats over a single connection
+  def handle_event("pwa_install", %{"event" => event} = params, socket) when is_binary(event) do
+    reported = socket.assigns[:pwa_install_events] || MapSet.new()
+
+    if MapSet.member?(reported, event) do
+      {:noreply, socket}
+    else
+      Bonfire.Notify.PWAInstalls.record(event, params["platform"])
+      {:noreply, assign(socket, :pwa_install_events, MapSet.put(reported, event))}
+    end
+  end
+
   def handle_info({:device_removed, %{endpoint: endpoint}}, socket) do
     {:noreply,
      socket
@@ -203,6 +231,29 @@ defmodule Bonfire.Notify.LiveHandler do
     end
   end
 
+  # "Send preview to my devices" in the announcement composer, see `Bonfire.Notify.AdminBroadcastLive`
+  def handle_event("broadcast_preview", params, socket) do
+    admin = current_user_required!(socket)
+
+    case Bonfire.Notify.Broadcast.send_preview(admin, params) do
+      {:ok, count} ->
+        {:reply, %{sent: count},
+         assign_flash(socket, :info, l("Preview sent to %{count} of your devices", count: count))}
+
+      {:error, :no_subscriptions} ->
+        {:reply, %{sent: 0},
+         assign_flash(
+           socket,
+           :error,
+           l("Turn on push notifications on one of your devices to receive previews")
+         )}
+
+      e ->
+        error(e, "Could not send announcement preview")
+        {:reply, %{sent: 0}, assign_flash(socket, :error, l("Could not send the preview"))}
+    end
+  end
+
   # Private helpers
 
   defp broadcast_device_removed(subscription) do
@@ -0,0 +1,117 @@
+defmodule Bonfire.Notify.Manifest do
+  @moduledoc """
+  Web app manifest for installing the instance as an app, built from its theme settings
+  (`[:ui, :theme, :instance_name]` and `:instance_icon`) and served by
+  `Bonfire.Notify.Web.ManifestController` at `path/0`.
+
+  The instance icon is listed for any size, unless icons of the sizes browsers look for are
+  configured, e.g. `config :bonfire_notify, :icons, %{"192x192" => "/icon-192.png",
+  "512x512" => "/icon-512.png"}`. A maskable icon for adaptive launcher shapes is added when
+  `config :bonfire_notify, :maskable_icon` is set to its URL.
+
+  Besides the usual fields it declares:
+
+  - a `share_target`, so the installed app shows up in the system share sheet. Shares are
+    handled by the notification service worker (see `assets/js/notify-sw.js`), which opens the
+    composer with the shared text, link and images. Without it the server receives them instead
+    (`Bonfire.Notify.Web.ManifestController.share/2`), keeping the text only.
+  - a `web+ap:` protocol handler, so fediverse links open in the installed app (see `open_path/1`).
+
+  Any field can be overridden with `config :bonfire_notify, :manifest, %{...}`.
+  """
+
+  use Bonfire.Common.Utils
+
+  @path "/notify/manifest.webmanifest"
+  @share_target_path "/notify/share"
+  @open_path "/notify/open"
+
+  def path, do: @path
+  def share_target_path, do: @share_target_path
+
+  @doc """
+  The manifest as a map, ready to be encoded to JSON.
+  """
+  def build do
+    name = Config.get([:ui, :theme, :instance_name], Bonfire.Application.name_and_flavour())
+    icon = Config.get([:ui, :theme, :instance_icon], "/images/bonfire-icon.png")
+
+    %{
+      "id" => "/",
+      "name" => name,
+      "short_name" => name,
+      "start_url" => "/",
+      "scope" => "/",
+      "display" => "standalone",
+      "icons" => icons(icon),
+      "share_target" => %{
+        "action" => @share_target_path,
+        "method" => "POST",
+        "enctype" => "multipart/form-data",
+        "params" => %{
+          "title" => "title",
+          "text" => "text",
+          "url" => "url",
+          "files" => [%{"name" => "media", "accept" => ["image/*"]}]
+        }
+      },
+      "protocol_handlers" => [
+        %{"protocol" => "web+ap", "url" => "#{@open_path}?uri=%s"}
+      ]
+    }
+    |> Map.merge(Map.new(Config.get([:bonfire_notify, :manifest], %{}), &stringify_key/1))
+  end
+
+  defp stringify_key({key, value}), do: {to_string(key), value}
+
+  defp icons(icon) do
+    maskable =
+      case Config.get([:bonfire_notify, :maskable_icon]) do
+        src when is_binary(src) ->
+          [%{"src" => src, "sizes" => "any", "purpose" => "maskable"}]
+
+        _ ->
+          []
+      end
+
+    case Config.get([:bonfire_notify, :icons]) do
+      %{} = icons when map_size(icons) > 0 ->
+        icons
+        |> Enum.sort()
+        |> Enum.map(fn {sizes, src} -> %{"src" => src, "sizes" => sizes, "purpose" => "any"} end)
+
+      _ ->
+        # we don't know its size, and browsers scale it as needed
+        [%{"src" => icon, "sizes" => "any", "purpose" => "any"}]
+    end ++ maskable
+  end
+
+  @doc """
+  Where to open a `web+ap://` link: the local path of objects on this instance, or a search
+  that looks up remote ones (e.g. `web+ap://example.social/@alice` opens
+  `/search?s=https%3A%2F%2Fexample.social%2F%40alice`). Returns `nil` for anything else.
+  """
+  def open_path("web+ap://" <> rest), do: open_path("https://" <> rest)
+
+  def open_path("https://" <> _ = url) do
+    case URI.parse(url) do
+      %URI{host: host} = uri when is_binary(host) and host != "" ->
+        if local_host?(host),
+          do: local_path(uri),
+          else: "/search?" <> URI.encode_query(%{"s" => url})
+
+      _ ->
+        nil
+    end
+  end
+
+  def open_path(_), do: nil
+
+  # a path starting with `//` would redirect to another host
+  defp local_path(%URI{path: "//" <> _}), do: nil
+  defp local_path(uri), do: URI.to_string(%URI{path: uri.path || "/", query: uri.query})
+
+  defp local_host?(host) do
+    host == URI.parse(Bonfire.Common.URIs.base_url()).host
+  end
+end
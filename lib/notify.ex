@@ -9,9 +9,11 @@ defmodule Bonfire.Notify do
   use Application
   use Bonfire.Common.Utils
   import Untangle
+  import Bonfire.Common.Config, only: [repo: 0]
   import Ecto.Query
 
   alias Bonfire.Notify.NativePush
+  alias Bonfire.Notify.PushActions
   alias Bonfire.Notify.WebPush
 
   def start(_, _) do
@@ -39,6 +41,144 @@ defmodule Bonfire.Notify do
       Application.get_env(:ex_nudge, :vapid_private_key) != nil
   end
 
+  @doc """
+  URL of the service worker registered by the push hooks (at scope `/`).
+
+  The worker should either import `NotifyServiceWorker` from `assets/js/notify-sw.js`,
+  or be a bundle of the standalone `assets/js/service-worker.js`.
+  """
+  def service_worker_url do
+    Config.get_ext(:bonfire_notify, :service_worker_url, "/pwabuilder-sw.js")
+  end
+
+  @categories [:replies_and_mentions, :likes, :boosts, :follows, :messages]
+
+  @doc """
+  The notification categories users can turn push notifications on or off for,
+  with the `[:push_notifications, category]` settings.
+  """
+  def categories, do: @categories
+
+  @doc """
+  A user's quiet hours and do-not-disturb settings, which the settings hooks mirror to the
+  service worker (through IndexedDB) so it can show notifications silently at those times:
+
+  - `do_not_disturb` - always quiet (`[:push_notifications, :do_not_disturb]`)
+  - `start` and `end` - quiet hours as `"HH:MM"` in the device's local time (`[:push_notifications, :quiet_hours_start]` and `:quiet_hours_end`)
+  - `urgent` - categories that keep their sound anyway (`[:push_notifications, :urgent, category]`, only `:messages` by default)
+  """
+  def quiet_hours(context) do
+    %{
+      do_not_disturb: push_setting(:do_not_disturb, false, context) == true,
+      start: quiet_hours_time(push_setting(:quiet_hours_start, nil, context)),
+      end: quiet_hours_time(push_setting(:quiet_hours_end, nil, context)),
+      urgent:
+        Enum.filter(@categories, &(push_setting([:urgent, &1], &1 == :messages, context) == true))
+    }
+  end
+
+  defp push_setting(keys, default, context) do
+    Bonfire.Common.Settings.get([:push_notifications | List.wrap(keys)], default,
+      context: context
+    )
+  end
+
+  defp quiet_hours_time(time) when is_binary(time) do
+    if Regex.match?(~r/^([01]\d|2[0-3]):[0-5]\d$/, time), do: time
+  end
+
+  defp quiet_hours_time(_), do: nil
+
+  # the service worker's inbox keeps at most 50
+  @max_seen_ids 50
+
+  @doc """
+  Which of the given object IDs a user has already seen, so the offline inbox kept by the
+  service worker (see `assets/js/notify-inbox.js`) can drop them once the app reconnects.
+  """
+  def seen_ids(user, ids)
+
+  def seen_ids(nil, _ids), do: []
+
+  def seen_ids(user, ids) when is_list(ids) do
+    case ids |> Enum.filter(&Bonfire.Common.Types.is_uid?/1) |> Enum.uniq() do
+      [] ->
+        []
+
+      ids ->
+        # `Bonfire.Social.Seen` edges, like `Bonfire.Social.Seen.seen?/2` but for all at once
+        seen_table_id = Bonfire.Common.Types.table_id(Bonfire.Data.Social.Seen)
+
+        from(seen in Bonfire.Data.Edges.Edge,
+          where:
+            seen.table_id == ^seen_table_id and seen.subject_id == ^uid(user) and
+              seen.object_id in ^Enum.take(ids, @max_seen_ids),
+          select: seen.object_id
+        )
+        |> repo().all()
+    end
+  end
+
+  @doc """
+  Number of unseen activities in a user's notifications feed, as shown on app icon badges.
+
+  Accepts a user or user ID, and optionally their notifications feed ID if already known.
+  """
+  def unseen_count(user, feed_id \\ nil)
+
+  def unseen_count(nil, _feed_id), do: 0
+
+  def unseen_count(user_id, feed_id) when is_binary(user_id) do
+    user_id
+    |> Bonfire.Me.Users.get_current()
+    |> unseen_count(feed_id)
+  end
+
+  def unseen_count(%{} = user, feed_id) do
+    user = repo().maybe_preload(user, :character)
+
+    case feed_id || maybe_apply(Bonfire.Social.Feeds, :my_feed_id, [:notifications, user]) do
+      feed_id when is_binary(feed_id) ->
+        maybe_apply(Bonfire.Social.FeedActivities, :unseen_count, [feed_id, [current_user: user]])
+
+      _ ->
+        0
+    end
+    |> non_negative()
+  end
+
+  defp non_negative(count) when is_integer(count) and count >= 0, do: count
+  defp non_negative(_), do: 0
+
+  @doc """
+  Like `unseen_count/2` for several users at once: returns a map of user IDs to their number of
+  unseen notifications, e.g. for the app badges of a push to many users. Counts all the feeds in
+  one query when `Bonfire.Social.FeedActivities` supports it, otherwise one user at a time.
+  """
+  def unseen_counts(users) when is_list(users) do
+    users = repo().maybe_preload(users, :character)
+
+    if Code.ensure_loaded?(Bonfire.Social.FeedActivities) and
+         function_exported?(Bonfire.Social.FeedActivities, :unseen_counts, 2) do
+      feed_ids = Map.new(users, &{id(&1), e(&1, :character, :notifications_id, nil)})
+
+      # a map of feed IDs to counts
+      counts =
+        Bonfire.Social.FeedActivities
+        |> maybe_apply(:unseen_counts, [Enum.filter(Map.values(feed_ids), &is_binary/1), []])
+        |> case do
+          %{} = counts -> counts
+          _ -> %{}
+        end
+
+      Map.new(feed_ids, fn {user_id, feed_id} ->
+        {user_id, non_negative(Map.get(counts, feed_id))}
+      end)
+    else
+      Map.new(users, &{id(&1), unseen_count(&1, e(&1, :character, :notifications_id, nil))})
+    end
+  end
+
   @doc """
   Generates VAPID keys for web push notifications if none are configured.
 
@@ -104,7 +244,7 @@ defmodule Bonfire.Notify do
     from_id = Map.get(object, :from_id) || uid(creator)
     category = Map.get(object, :notify_category)
 
-    user_ids =
+    {user_ids, native_user_ids} =
       subscribers
       |> Enum.map(&uid/1)
       |> Enum.reject(&(is_nil(&1) or &1 == from_id))
@@ -117,7 +257,12 @@ defmodule Bonfire.Notify do
       debug(message, "📨 Formatted push message JSON")
 
       result =
-        send_to_push_channels(user_ids, message, notify_category: category, from_id: from_id)
+        send_to_push_channels(
+          user_ids,
+          message,
+          [notify_category: category, from_id: from_id],
+          native_user_ids
+        )
 
       debug(result, "📨 push delivery result")
       result
@@ -127,8 +272,11 @@ defmodule Bonfire.Notify do
     end
   end
 
-  defp filter_by_push_preferences(ids, nil), do: ids
-  defp filter_by_push_preferences([], _), do: []
+  # Returns the users to send web push to, and those to send native push to. Users who turned a
+  # category off can still have turned it on for some of their browsers (see
+  # `Bonfire.Notify.UserPushSubscription`), `WebPush` then only sends to those.
+  defp filter_by_push_preferences(ids, nil), do: {ids, ids}
+  defp filter_by_push_preferences([], _), do: {[], []}
 
   defp filter_by_push_preferences(ids, category) do
     user_ids =
@@ -137,18 +285,28 @@ defmodule Bonfire.Notify do
         resolved -> resolved
       end
 
-    from(u in Bonfire.Data.Identity.User,
-      where: u.id in ^user_ids,
-      preload: [:settings]
-    )
-    |> Bonfire.Common.Repo.many()
-    |> Enum.filter(
-      &Bonfire.Common.Settings.get([:push_notifications, category], true, context: &1)
-    )
-    |> Enum.map(&uid/1)
+    {enabled, disabled} =
+      from(u in Bonfire.Data.Identity.User,
+        where: u.id in ^user_ids,
+        preload: [:settings]
+      )
+      |> Bonfire.Common.Repo.many()
+      |> Enum.split_with(
+        &Bonfire.Common.Settings.get([:push_notifications, category], true, context: &1)
+      )
+
+    enabled_ids = Enum.map(enabled, &uid/1)
+
+    device_opt_in_ids =
+      case Enum.map(disabled, &uid/1) do
+        [] -> []
+        disabled_ids -> disabled_ids |> WebPush.device_opt_ins(category) |> MapSet.to_list()
+      end
+
+    {enabled_ids ++ device_opt_in_ids, enabled_ids}
   end
 
-  defp send_to_push_channels(user_ids, message, opts) do
+  defp send_to_push_channels(user_ids, message, opts, native_user_ids \\ nil) do
     web_result =
       if enabled?() do
         WebPush.send_web_push(user_ids, message, opts)
@@ -158,7 +316,7 @@ defmodule Bonfire.Notify do
 
     native_result =
       if NativePush.configured?() do
-        NativePush.send_native_push(user_ids, message, opts)
+        NativePush.send_native_push(native_user_ids || user_ids, message, opts)
       else
         {:error, :native_push_not_configured}
       end
@@ -172,14 +330,19 @@ defmodule Bonfire.Notify do
     end
   end
 
-  defp format_message_from(%{title: title, message: body} = assigns, _creator) do
+  defp format_message_from(%{title: title, message: body} = assigns, creator) do
     # Pre-formatted preview_assigns from LivePush — use directly
     WebPush.format_push_message(
       title,
       body || "New notification",
       url: assigns[:url],
       tag: assigns[:tag],
-      icon: assigns[:icon]
+      icon: assigns[:icon],
+      object_id: assigns[:id],
+      actor_id: assigns[:from_id] || uid(creator),
+      actor_name: actor_name(creator),
+      category: assigns[:notify_category],
+      actions: PushActions.actions_for(assigns[:notify_category])
     )
   end
 
@@ -195,10 +358,7 @@ defmodule Bonfire.Notify do
   browser notification display.
   """
   def format_push_message(object, creator, opts \\ []) do
-    title =
-      e(object, :name, nil) ||
-        e(creator, :profile, :name, nil) ||
-        e(creator, :character, :username, "Someone")
+    title = e(object, :name, nil) || actor_name(creator) || "Someone"
 
     body =
       e(object, :summary, nil) ||
@@ -221,13 +381,22 @@ defmodule Bonfire.Notify do
         [
           url: e(object, :canonical_url, nil) || e(object, :url, nil),
           tag: e(object, :id, nil),
-          icon: icon
+          icon: icon,
+          object_id: e(object, :id, nil),
+          actor_id: e(object, :from_id, nil) || uid(creator),
+          actor_name: actor_name(creator),
+          category: e(object, :notify_category, nil),
+          actions: PushActions.actions_for(e(object, :notify_category, nil))
         ],
         opts
       )
     )
   end
 
+  defp actor_name(creator) do
+    e(creator, :profile, :name, nil) || e(creator, :character, :username, nil)
+  end
+
   @doc """
   Sends push notifications to specific user IDs.
 
@@ -0,0 +1,119 @@
+defmodule Bonfire.Notify.PushActions do
+  @moduledoc """
+  Actions that can be performed straight from a web push notification (reply, like, follow back, mark as read).
+
+  Each push payload carries the allowed actions for its notification category, plus a token signed for
+  the recipient which the service worker sends back to `Bonfire.Notify.Web.WebPushController`. The token
+  is what authenticates the request (the worker has no session), and it is only valid for the object,
+  actor and actions it was signed with.
+  """
+
+  use Bonfire.Common.Utils
+  import Untangle
+
+  @salt "bonfire_notify_push_action"
+  # pushes are kept for up to 24h by push services, leave room for users acting on older notifications
+  @max_age 7 * 24 * 60 * 60
+
+  @doc """
+  Returns the actions offered for a Bonfire notification category.
+  """
+  def actions_for(:replies_and_mentions), do: ["reply", "like", "mark_read"]
+  def actions_for(:messages), do: ["reply", "mark_read"]
+  def actions_for(:follows), do: ["follow", "mark_read"]
+  def actions_for(:likes), do: ["like", "mark_read"]
+  def actions_for(:boosts), do: ["like", "mark_read"]
+  def actions_for(_), do: []
+
+  @doc """
+  Signs a token allowing `user_id` to perform the payload's actions on its object.
+  """
+  def sign_token(user_id, %{} = data) when is_binary(user_id) do
+    Phoenix.Token.sign(endpoint(), @salt, %{
+      "user_id" => user_id,
+      "id" => data["id"],
+      "actor_id" => data["actor_id"],
+      # so replies to direct messages stay direct
+      "category" => data["category"],
+      "actions" => data["actions"] || []
+    })
+  end
+
+  @doc """
+  Verifies a token created with `sign_token/2` and returns its claims.
+  """
+  def verify_token(token) when is_binary(token) do
+    case Phoenix.Token.verify(endpoint(), @salt, token, max_age: @max_age) do
+      {:ok, %{"user_id" => _} = claims} -> {:ok, claims}
+      _ -> {:error, :invalid_token}
+    end
+  end
+
+  def verify_token(_), do: {:error, :invalid_token}
+
+  @doc """
+  Performs an action on behalf of the user the token was signed for.
+
+  `params` may include `"text"` for replies.
+  """
+  def perform(token, action, params \\ %{}) do
+    with {:ok, claims} <- verify_token(token),
+         :ok <- check_allowed(claims, action),
+         %{} = user <- Bonfire.Me.Users.get_current(claims["user_id"]) || {:error, :not_found} do
+      do_perform(action, user, claims, params)
+    end
+  end
+
+  defp check_allowed(%{"actions" => actions}, action) when is_list(actions) do
+    if action in actions, do: :ok, else: {:error, :not_allowed}
+  end
+
+  defp check_allowed(_, _), do: {:error, :not_allowed}
+
+  defp do_perform("reply", user, %{"id" => reply_to_id} = claims, params)
+       when is_binary(reply_to_id) do
+    case String.trim(params["text"] || "") do
+      "" -> {:error, :empty_reply}
+      text -> reply(user, text, reply_to_id, claims)
+    end
+  end
+
+  defp do_perform("like", user, %{"id" => object_id}, _params) when is_binary(object_id) do
+    maybe_apply(Bonfire.Social.Likes, :like, [user, object_id])
+  end
+
+  defp do_perform("follow", user, %{"actor_id" => actor_id}, _params)
+       when is_binary(actor_id) do
+    maybe_apply(Bonfire.Social.Graph.Follows, :follow, [user, actor_id])
+  end
+
+  defp do_perform("mark_read", user, %{"id" => object_id}, _params) when is_binary(object_id) do
+    maybe_apply(Bonfire.Social.Seen, :mark_seen, [user, object_id])
+  end
+
+  defp do_perform(action, _user, claims, _params) do
+    error(claims, "Cannot perform push action #{inspect(action)}")
+    {:error, :invalid_action}
+  end
+
+  # replies to a direct message stay a direct message to its sender
+  defp reply(user, text, reply_to_id, %{"category" => "messages", "actor_id" => actor_id})
+       when is_binary(actor_id) do
+    maybe_apply(Bonfire.Messages, :send, [
+      user,
+      %{post_content: %{html_body: text}, reply_to_id: reply_to_id},
+      [actor_id]
+    ])
+  end
+
+  # other replies from a notification stay visible only to the people in the thread
+  defp reply(user, text, reply_to_id, _claims) do
+    Bonfire.Posts.publish(
+      context: user,
+      post_attrs: %{post_content: %{html_body: text}, reply_to_id: reply_to_id},
+      boundary: "mentions"
+    )
+  end
+
+  defp endpoint, do: Bonfire.Common.Config.endpoint_module()
+end
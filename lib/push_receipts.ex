@@ -0,0 +1,124 @@
+defmodule Bonfire.Notify.PushReceipts do
+  @moduledoc """
+  Delivery, click and dismiss receipts reported by the notification service worker (see
+  `assets/js/notify-sw.js`), so users can see which of their devices actually show notifications,
+  and admins how announcements were received.
+
+  The worker queues receipts while offline and sends them in batches to
+  `Bonfire.Notify.Web.WebPushController`, authenticated with the device's subscription secret.
+  """
+
+  use Bonfire.Common.Utils
+  import Untangle
+  import Ecto.Query
+  import Bonfire.Common.Config, only: [repo: 0]
+
+  alias Bonfire.Notify.PushReceipt
+  alias Bonfire.Notify.WebPush
+
+  # the worker sends what it queued while offline, but not an unbounded amount
+  @max_batch 100
+
+  @doc """
+  Records receipts for the device with this endpoint, proving ownership with its `auth` secret
+  (see `Bonfire.Notify.WebPush.verify_device/2`).
+
+  Each receipt is `%{"id" => object_id, "event" => "shown" | "clicked" | "closed"}`, optionally with
+  a `"category"` and the time it happened as `"at"` (milliseconds since epoch). Invalid ones are skipped.
+
+  Returns `{:ok, recorded_count}`.
+  """
+  def record(endpoint, auth, receipts) when is_list(receipts) do
+    with {:ok, push_sub} <- WebPush.verify_device(endpoint, auth) do
+      now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+      rows =
+        receipts
+        |> Enum.take(@max_batch)
+        |> Enum.map(&receipt_attrs(&1, push_sub.id))
+        |> Enum.map(&PushReceipt.changeset/1)
+        |> Enum.filter(& &1.valid?)
+        |> Enum.map(fn changeset ->
+          changeset
+          |> Ecto.Changeset.apply_changes()
+          |> Map.take([:push_subscription_id, :object_id, :category, :event, :occurred_at])
+          |> Map.update!(:occurred_at, &(&1 || now))
+          |> Map.put(:inserted_at, now)
+        end)
+
+      {count, _} = repo().insert_all(PushReceipt, rows)
+      {:ok, count}
+    end
+  end
+
+  def record(_endpoint, _auth, _receipts), do: {:error, :invalid_receipts}
+
+  defp receipt_attrs(%{} = receipt, push_subscription_id) do
+    %{
+      push_subscription_id: push_subscription_id,
+      object_id: receipt["id"],
+      category: receipt["category"],
+      event: receipt["event"],
+      occurred_at: occurred_at(receipt["at"])
+    }
+  end
+
+  defp receipt_attrs(other, _push_subscription_id) do
+    debug(other, "invalid receipt")
+    %{}
+  end
+
+  defp occurred_at(ms) when is_integer(ms) do
+    case DateTime.from_unix(ms, :millisecond) do
+      {:ok, datetime} -> DateTime.truncate(datetime, :second)
+      _ -> nil
+    end
+  end
+
+  defp occurred_at(_), do: nil
+
+  @doc """
+  Counts receipts per device, as `%{push_subscription_id => %{shown: n, clicked: n, closed: n}}`.
+  """
+  def device_engagement(push_subscription_ids) when is_list(push_subscription_ids) do
+    from(r in PushReceipt,
+      where: r.push_subscription_id in ^push_subscription_ids,
+      group_by: [r.push_subscription_id, r.event],
+      select: {r.push_subscription_id, r.event, count(r.id)}
+    )
+    |> repo().all()
+    |> Enum.reduce(%{}, fn {push_subscription_id, event, count}, acc ->
+      Map.update(
+        acc,
+        push_subscription_id,
+        Map.put(empty_counts(), event, count),
+        &Map.put(&1, event, count)
+      )
+    end)
+  end
+
+  @doc """
+  Counts receipts per notified object for a category (e.g. `"broadcast"` for announcements),
+  most recent first, as a list of `%{object_id, shown, clicked, closed, last_at}`.
+
+  Devices are counted once per event, so re-showing a notification doesn't inflate the numbers.
+  """
+  def engagement_by_object(category, limit \\ 10) do
+    from(r in PushReceipt,
+      where: r.category == ^to_string(category),
+      group_by: r.object_id,
+      order_by: [desc: max(r.inserted_at)],
+      limit: ^limit,
+      select: %{
+        object_id: r.object_id,
+        shown: filter(count(r.push_subscription_id, :distinct), r.event == :shown),
+        clicked: filter(count(r.push_subscription_id, :distinct), r.event == :clicked),
+        closed: filter(count(r.push_subscription_id, :distinct), r.event == :closed),
+        last_at: max(r.inserted_at)
+      }
+    )
+    |> repo().all()
+  end
+
+  defp empty_counts, do: Map.new(PushReceipt.events(), &{&1, 0})
+end
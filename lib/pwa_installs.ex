@@ -0,0 +1,70 @@
+defmodule Bonfire.Notify.PWAInstalls do
+  @moduledoc """
+  Install banner outcomes reported by browsers (see `Bonfire.Notify.PWAInstallBannerLive` and
+  `assets/js/pwa-install.js`), so admins can see how many people install the app.
+
+  Events are:
+
+  - `prompted` - the browser's install prompt was shown
+  - `accepted` / `dismissed` - what the user chose in it
+  - `snoozed` - the user closed the banner with "Not now", so it's hidden for a while
+  - `appinstalled` - the browser reports the app as installed, however it was installed
+  - `ios_instructions` - the banner explained how to add the app on iOS, which has no install prompt
+  """
+
+  use Bonfire.Common.Utils
+  import Untangle
+  import Ecto.Query
+  import Bonfire.Common.Config, only: [repo: 0]
+
+  alias Bonfire.Notify.PWAInstallEvent
+
+  @doc """
+  Records an install event, with the kind of device it happened on (`"ios"`, `"android"` or `"desktop"`).
+  """
+  def record(event, platform \\ nil) do
+    %{event: event, platform: platform}
+    |> PWAInstallEvent.changeset()
+    |> repo().insert()
+    |> case do
+      {:ok, event} ->
+        {:ok, event}
+
+      {:error, changeset} ->
+        debug(changeset.errors, "invalid install event")
+        {:error, :invalid_event}
+    end
+  end
+
+  @doc """
+  Counts events per platform over the last `days`, as a list of
+  `%{platform, prompted, accepted, dismissed, snoozed, appinstalled, ios_instructions}`.
+  """
+  def summary(days \\ 30) do
+    since = DateTime.add(DateTime.utc_now(), -days * 24 * 60 * 60, :second)
+
+    from(e in PWAInstallEvent,
+      where: e.inserted_at >= ^since,
+      group_by: e.platform,
+      order_by: e.platform,
+      select: %{
+        platform: e.platform,
+        prompted: filter(count(e.id), e.event == :prompted),
+        accepted: filter(count(e.id), e.event == :accepted),
+        dismissed: filter(count(e.id), e.event == :dismissed),
+        snoozed: filter(count(e.id), e.event == :snoozed),
+        appinstalled: filter(count(e.id), e.event == :appinstalled),
+        ios_instructions: filter(count(e.id), e.event == :ios_instructions)
+      }
+    )
+    |> repo().all()
+  end
+
+  @doc """
+  Share of install prompts that were accepted, as a percentage, or `nil` before any was shown.
+  """
+  def conversion(%{prompted: prompted, accepted: accepted}) when prompted > 0,
+    do: round(accepted * 100 / prompted)
+
+  def conversion(_), do: nil
+end
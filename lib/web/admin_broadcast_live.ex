@@ -1,5 +1,5 @@
 defmodule Bonfire.Notify.AdminBroadcastLive do
-  use Bonfire.UI.Common.Web, :stateless_component
+  use Bonfire.UI.Common.Web, :stateful_component
   use Bonfire.Common.Settings
 
   declare_settings_component(l("Make an announcement"),
@@ -12,4 +12,18 @@ defmodule Bonfire.Notify.AdminBroadcastLive do
   )
 
   prop scope, :any, default: :instance
+  # title and icon of the admin's announcements, for the live preview
+  data preview, :map, default: %{}
+
+  def update(assigns, socket) do
+    # Assign first so __context__ is available
+    socket = assign(socket, assigns)
+
+    {:ok,
+     assign_new(socket, :preview, fn ->
+       (current_user(assigns) || current_user(socket))
+       |> Bonfire.Notify.Broadcast.preview_message(%{})
+       |> Jason.decode!()
+     end)}
+  end
 end
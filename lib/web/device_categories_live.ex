@@ -0,0 +1,27 @@
+defmodule Bonfire.Notify.Settings.DeviceCategoriesLive do
+  @moduledoc """
+  The "Notify me about" toggles of one of the user's devices (a
+  `Bonfire.Notify.UserPushSubscription`), shown by `Bonfire.Notify.Settings.PushNotificationsLive`. Categories the user didn't choose for
+  the device show their user-wide setting (`defaults`).
+  """
+  use Bonfire.UI.Common.Web, :stateless_component
+
+  alias Bonfire.Notify.UserPushSubscription
+
+  prop device, :any, required: true
+  prop defaults, :map, default: %{}
+  prop form_id, :string, required: true
+  prop event_target, :any, default: nil
+
+  @doc false
+  def category_label(:replies_and_mentions), do: l("Replies and mentions")
+  def category_label(:likes), do: l("Likes")
+  def category_label(:boosts), do: l("Boosts")
+  def category_label(:follows), do: l("Follows")
+  def category_label(:messages), do: l("Messages")
+
+  @doc false
+  def enabled?(device, defaults, category) do
+    UserPushSubscription.category_enabled?(device, category, Map.get(defaults, category, true))
+  end
+end
@@ -0,0 +1,54 @@
+defmodule Bonfire.Notify.Web.DevicesController do
+  @moduledoc """
+  JSON endpoints the push client (see `assets/js/push-client.js`) reports this browser's
+  subscription changes to, whichever page, hook or script made them. Unlike the service worker's
+  (see `Bonfire.Notify.Web.WebPushController`), these are called from pages, with a session.
+
+  Implements:
+  - POST /notify/devices - Registers the browser's new subscription for the current user
+  - POST /notify/devices/remove - Removes it after the browser unsubscribed or lost permission
+  """
+
+  use Bonfire.UI.Common.Web, :controller
+  import Untangle
+
+  alias Bonfire.Notify.WebPush
+
+  @doc """
+  Expects `{"subscription": {"endpoint": "...", "keys": {...}}, "old_endpoint": "..."}`, where
+  `old_endpoint` is sent when the browser re-subscribed (e.g. after a VAPID key change).
+  """
+  def create(conn, %{"subscription" => %{} = subscription} = params) do
+    debug(subscription["endpoint"], "POST /notify/devices")
+
+    user = current_user_required!(conn)
+
+    case WebPush.resubscribe(id(user), params["old_endpoint"], subscription) do
+      {:ok, _user_sub} -> json(conn, %{ok: true})
+      {:error, reason} -> error_response(conn, 422, reason)
+    end
+  end
+
+  def create(conn, _params), do: error_response(conn, 400, "missing_params")
+
+  @doc """
+  Expects `{"endpoint": "..."}`. Only removes one of the current user's devices, and succeeds when
+  there was none (e.g. it was already removed from the device list).
+  """
+  def delete(conn, %{"endpoint" => endpoint}) when is_binary(endpoint) do
+    debug(endpoint, "POST /notify/devices/remove")
+
+    {count, _} =
+      WebPush.remove_user_subscription_by_endpoint(id(current_user_required!(conn)), endpoint)
+
+    json(conn, %{ok: true, removed: count})
+  end
+
+  def delete(conn, _params), do: error_response(conn, 400, "missing_params")
+
+  defp error_response(conn, status, reason) do
+    conn
+    |> put_status(status)
+    |> json(%{error: Bonfire.Common.Errors.error_msg(reason)})
+  end
+end
@@ -0,0 +1,79 @@
+defmodule Bonfire.Notify.Web.ManifestController do
+  @moduledoc """
+  Serves the web app manifest (see `Bonfire.Notify.Manifest`) and opens the links it handles.
+
+  Implements:
+  - GET /notify/manifest.webmanifest - The manifest
+  - GET /notify/open?uri=web+ap://... - Opens a fediverse link (the manifest's `web+ap:` protocol handler)
+  - POST /notify/share - Receives a share (the manifest's `share_target`) when the notification
+    service worker isn't there to, e.g. before it's installed or with another worker configured
+  """
+
+  use Bonfire.UI.Common.Web, :controller
+  import Untangle
+
+  alias Bonfire.Notify.Manifest
+
+  def show(conn, _params) do
+    conn
+    |> put_resp_content_type("application/manifest+json")
+    |> send_resp(200, Jason.encode!(Manifest.build()))
+  end
+
+  def open(conn, %{"uri" => uri}) do
+    debug(uri, "GET /notify/open")
+
+    case Manifest.open_path(uri) do
+      nil -> redirect(conn, to: "/")
+      path -> redirect(conn, to: path)
+    end
+  end
+
+  def open(conn, _params), do: redirect(conn, to: "/")
+
+  # what `ShareTargetHook` picks up, like the worker's share in IndexedDB
+  @share_cookie "bonfire_notify_share"
+  @share_max_age 10 * 60
+  # cookies are limited to 4096 bytes including their name and attributes, so long shares lose
+  # the end of their text, then of their title and url
+  @share_max_bytes 3_000
+
+  def share(conn, params) do
+    debug(Map.keys(params), "POST /notify/share")
+
+    share =
+      fit_share(%{
+        title: share_param(params["title"]),
+        text: share_param(params["text"]),
+        url: share_param(params["url"]),
+        at: System.system_time(:millisecond)
+      })
+
+    conn
+    |> put_resp_cookie(@share_cookie, share, http_only: false, max_age: @share_max_age)
+    |> put_status(303)
+    |> redirect(to: "/")
+  end
+
+  # every character takes at least a byte, so more would never fit
+  defp share_param(value) when is_binary(value), do: String.slice(value, 0, @share_max_bytes)
+  defp share_param(_), do: ""
+
+  defp fit_share(share, fields \\ [:text, :title, :url]) do
+    encoded = share |> Jason.encode!() |> URI.encode_www_form()
+    excess = byte_size(encoded) - @share_max_bytes
+
+    case {excess, fields, share[List.first(fields)]} do
+      {excess, _, _} when excess <= 0 ->
+        encoded
+
+      {_, [_ | rest], ""} ->
+        fit_share(share, rest)
+
+      {excess, [field | _], value} ->
+        # an encoded character takes up to 12 bytes, so this never cuts more than needed
+        length = max(String.length(value) - div(excess, 12) - 1, 0)
+        fit_share(Map.put(share, field, String.slice(value, 0, length)), fields)
+    end
+  end
+end
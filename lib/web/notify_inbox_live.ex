@@ -0,0 +1,11 @@
+defmodule Bonfire.Notify.NotifyInboxLive do
+  @moduledoc """
+  "Received while you were away" list of the push notifications the service worker kept on this
+  device, rendered by `assets/js/notify-inbox.js` as soon as the page loads (even before the LiveView
+  socket connects, or offline). Once connected, notifications already seen elsewhere are dropped.
+  Only those pushed to the current user are listed, so accounts sharing a browser keep theirs apart.
+
+  Include it e.g. at the top of the notifications page.
+  """
+  use Bonfire.UI.Common.Web, :stateless_component
+end
@@ -6,6 +6,17 @@ defmodule Bonfire.Notify.Web.Routes do
       # pages anyone can view
       scope "/", Bonfire.Notify.Web do
         pipe_through(:browser)
+
+        # the manifest's `web+ap:` protocol handler
+        get "/notify/open", ManifestController, :open
+      end
+
+      # fetched by browsers without cookies, so no session needed
+      scope "/", Bonfire.Notify.Web do
+        get "/notify/manifest.webmanifest", ManifestController, :show
+
+        # the manifest's `share_target`, posted by the OS share sheet without a CSRF token
+        post "/notify/share", ManifestController, :share
       end
 
       # pages you need an account to view
@@ -18,6 +29,10 @@ defmodule Bonfire.Notify.Web.Routes do
       scope "/", Bonfire.Notify.Web do
         pipe_through(:browser)
         pipe_through(:user_required)
+
+        # called by the push client in pages (see DevicesController)
+        post "/notify/devices", DevicesController, :create
+        post "/notify/devices/remove", DevicesController, :delete
       end
 
       # SSE streaming (no :browser or :basic_json pipeline — they restrict Accept headers)
@@ -27,6 +42,15 @@ defmodule Bonfire.Notify.Web.Routes do
         get "/streaming", StreamingController, :stream
       end
 
+      # called by the service worker, which has no session (see WebPushController)
+      scope "/api/v1-bonfire/notify", Bonfire.Notify.Web do
+        pipe_through(:basic_json)
+
+        post "/action", WebPushController, :action
+        post "/subscription", WebPushController, :renew
+        post "/receipts", WebPushController, :receipts
+      end
+
       # pages only admins can view
       scope "/", Bonfire.Notify.Web do
         pipe_through(:browser)
@@ -13,14 +13,31 @@ defmodule Bonfire.Notify.Settings.PushNotificationsLive do
     description: l("Manage your push notification settings and registered devices")
   )
 
+  alias Bonfire.Notify.PushReceipts
+  alias Bonfire.Notify.PushSubscription
   alias Bonfire.Notify.WebPush
 
   prop scope, :any, default: nil
   data vapid_public_key, :string, default: nil
   data subscriptions, :list, default: []
   data push_supported, :boolean, default: true
+  # why push isn't supported, see `PWAUtils.getCapabilities` in `assets/js/pwa-utils.js`
+  data push_unsupported_reason, :string, default: nil
   data current_device_subscribed, :boolean, default: false
   data current_endpoint, :string, default: nil
+  # the local accounts this device gets notifications for, when shared
+  data device_users, :list, default: []
+  # the device whose name is being edited in the device list
+  data renaming_device_id, :string, default: nil
+  # the device whose notification categories are shown in the device list
+  data expanded_device_id, :string, default: nil
+  data diagnostics, :map, default: nil
+  # receipts reported by each device's service worker, see `Bonfire.Notify.PushReceipts`
+  data engagement, :map, default: %{}
+  # the user-wide `[:push_notifications, category]` settings, used by devices that didn't choose
+  data category_defaults, :map, default: %{}
+  data quiet_hours, :map,
+    default: %{do_not_disturb: false, start: nil, end: nil, urgent: [:messages]}
 
   def update(assigns, socket) do
     # Assign first so __context__ is available
@@ -40,7 +57,33 @@ defmodule Bonfire.Notify.Settings.PushNotificationsLive do
     {:ok,
      socket
      |> assign(:vapid_public_key, vapid_public_key)
-     |> assign(:subscriptions, subscriptions)}
+     |> assign(:subscriptions, subscriptions)
+     |> assign(
+       :engagement,
+       PushReceipts.device_engagement(Enum.map(subscriptions, & &1.push_subscription_id))
+     )
+     |> assign(:category_defaults, category_defaults(user))
+     |> assign(:quiet_hours, Bonfire.Notify.quiet_hours(user))}
+  end
+
+  defp category_defaults(user) do
+    Map.new(Bonfire.Notify.categories(), fn category ->
+      {category,
+       Bonfire.Common.Settings.get([:push_notifications, category], true, context: user)}
+    end)
+  end
+
+  # Saves the quiet hours settings, then re-renders them so the hook mirrors the new window to the
+  # service worker (see `Bonfire.Notify.quiet_hours/1`)
+  def handle_event("set_quiet_hours", params, socket) do
+    case Bonfire.Common.Settings.LiveHandler.handle_event("set", params, socket) do
+      # the updated settings are in the socket's context
+      {:noreply, socket} ->
+        {:noreply, assign(socket, :quiet_hours, Bonfire.Notify.quiet_hours(socket))}
+
+      other ->
+        other
+    end
   end
 
   # Handle enable push button click - triggers JS to request browser permission
@@ -58,77 +101,52 @@ defmodule Bonfire.Notify.Settings.PushNotificationsLive do
   def handle_event("check_subscription", %{"endpoint" => endpoint}, socket) do
     subscriptions = socket.assigns[:subscriptions] || []
 
-    is_subscribed =
-      Enum.any?(subscriptions, fn sub ->
-        push_sub = sub.push_subscription
-        push_sub && push_sub.endpoint == endpoint
-      end)
-
     {:noreply,
      socket
-     |> assign(:current_device_subscribed, is_subscribed)
-     |> assign(:current_endpoint, endpoint)}
+     |> assign(:current_device_subscribed, device_subscribed?(subscriptions, endpoint))
+     |> assign(:current_endpoint, endpoint)
+     |> assign(:device_users, WebPush.device_users(endpoint))}
   end
 
-  # Handle subscription data received from JS hook after browser grants permission
-  def handle_event("push_subscription_created", %{"subscription" => subscription_data}, socket) do
-    user = current_user(socket.assigns)
-
-    if user do
-      user_id = id(user)
-
-      case WebPush.subscribe(user_id, subscription_data) do
-        {:ok, _subscription} ->
-          subscriptions = WebPush.list_subscriptions(user_id)
-
-          {:noreply,
-           socket
-           |> assign(:subscriptions, subscriptions)
-           |> assign(:current_device_subscribed, true)
-           |> assign_flash(:info, l("Push notifications enabled for this device"))}
-
-        {:error, changeset} ->
-          error_msg = format_changeset_errors(changeset)
-
-          {:noreply,
-           assign_flash(
-             socket,
-             :error,
-             l("Failed to enable notifications: %{error}", error: error_msg)
-           )}
-      end
-    else
-      {:noreply,
-       assign_flash(socket, :error, l("You must be logged in to enable push notifications"))}
-    end
+  # Another tab (or the service worker) changed this browser's subscription, and already told the server
+  def handle_event("push_subscription_synced", params, socket) do
+    {:noreply, sync_current_device(socket, params["endpoint"])}
   end
 
-  # Handle when JS successfully disables push subscription
-  def handle_event("push_subscription_disabled", %{"endpoint" => endpoint}, socket) do
-    # Remove the push subscription from the server (cascades to user links)
-    case WebPush.remove_subscription_by_endpoint(endpoint) do
-      {count, _} when count > 0 ->
-        user = current_user(socket.assigns)
+  # This browser subscribed, and the push client registered it for the current user
+  def handle_event("push_subscription_created", %{"reported" => true} = params, socket) do
+    {:noreply,
+     socket
+     |> sync_current_device(params["endpoint"])
+     |> assign_flash(:info, l("Push notifications enabled for this device"))}
+  end
 
-        subscriptions =
-          if user do
-            WebPush.list_subscriptions(id(user))
-          else
-            []
-          end
+  def handle_event("push_subscription_created", _params, socket) do
+    {:noreply,
+     assign_flash(
+       socket,
+       :error,
+       l("Failed to enable notifications: this device could not be registered, please try again")
+     )}
+  end
 
-        {:noreply,
-         socket
-         |> assign(:subscriptions, subscriptions)
-         |> assign(:current_device_subscribed, false)
-         |> assign_flash(:info, l("Push notifications disabled for this device"))}
+  # This browser unsubscribed, and the push client removed it from the current user's devices
+  def handle_event("push_subscription_disabled", _params, socket) do
+    {:noreply,
+     socket
+     |> sync_current_device(nil)
+     |> assign_flash(:info, l("Push notifications disabled for this device"))}
+  end
 
-      _ ->
-        {:noreply,
-         socket
-         |> assign(:current_device_subscribed, false)
-         |> assign_flash(:info, l("Push notifications disabled"))}
-    end
+  # Notifications were blocked in the browser's site settings, and the push client removed it
+  def handle_event("push_permission_revoked", _params, socket) do
+    {:noreply,
+     socket
+     |> sync_current_device(nil)
+     |> assign_flash(
+       :info,
+       l("Notifications were blocked in this browser, so push was turned off for this device")
+     )}
   end
 
   def handle_event("push_subscription_error", %{"error" => error}, socket) do
@@ -154,20 +172,13 @@ defmodule Bonfire.Notify.Settings.PushNotificationsLive do
         # Check if current device is still in the list
         current_endpoint = socket.assigns[:current_endpoint]
 
-        current_device_subscribed =
-          if current_endpoint do
-            Enum.any?(subscriptions, fn sub ->
-              push_sub = sub.push_subscription
-              push_sub && push_sub.endpoint == current_endpoint
-            end)
-          else
-            false
-          end
-
         {:noreply,
          socket
          |> assign(:subscriptions, subscriptions)
-         |> assign(:current_device_subscribed, current_device_subscribed)
+         |> assign(
+           :current_device_subscribed,
+           device_subscribed?(subscriptions, current_endpoint)
+         )
          |> assign_flash(:info, l("Device removed"))}
 
       {:error, reason} ->
@@ -180,9 +191,101 @@ defmodule Bonfire.Notify.Settings.PushNotificationsLive do
     end
   end
 
+  def handle_event("edit_device_name", %{"id" => push_subscription_id}, socket) do
+    {:noreply, assign(socket, :renaming_device_id, push_subscription_id)}
+  end
+
+  def handle_event("cancel_device_name", _params, socket) do
+    {:noreply, assign(socket, :renaming_device_id, nil)}
+  end
+
+  def handle_event("rename_device", %{"id" => push_subscription_id, "name" => name}, socket) do
+    user = current_user(socket.assigns)
+
+    case WebPush.rename_device(id(user), push_subscription_id, name) do
+      {:ok, _} ->
+        {:noreply,
+         socket
+         |> assign(:subscriptions, WebPush.list_subscriptions(id(user)))
+         |> assign(:renaming_device_id, nil)}
+
+      {:error, reason} ->
+        {:noreply,
+         assign_flash(
+           socket,
+           :error,
+           l("Failed to rename device: %{error}", error: format_changeset_errors(reason))
+         )}
+    end
+  end
+
+  def handle_event("toggle_device_categories", %{"id" => push_subscription_id}, socket) do
+    {:noreply,
+     assign(
+       socket,
+       :expanded_device_id,
+       if(socket.assigns.expanded_device_id != push_subscription_id, do: push_subscription_id)
+     )}
+  end
+
+  # A "Notify me about" toggle of one device, see `Bonfire.Notify.Settings.DeviceCategoriesLive`
+  def handle_event(
+        "set_device_categories",
+        %{"id" => push_subscription_id, "_target" => ["categories", category]} = params,
+        socket
+      ) do
+    user = current_user(socket.assigns)
+    enabled? = e(params, "categories", category, nil) == "true"
+
+    case WebPush.set_device_category(id(user), push_subscription_id, category, enabled?) do
+      {:ok, _} ->
+        {:noreply, assign(socket, :subscriptions, WebPush.list_subscriptions(id(user)))}
+
+      {:error, reason} ->
+        {:noreply,
+         assign_flash(
+           socket,
+           :error,
+           l("Failed to update device: %{error}", error: format_changeset_errors(reason))
+         )}
+    end
+  end
+
+  def handle_event("set_device_categories", _params, socket), do: {:noreply, socket}
+
   # Handle push not supported
-  def handle_event("push_not_supported", _params, socket) do
-    {:noreply, assign(socket, :push_supported, false)}
+  def handle_event("push_not_supported", params, socket) do
+    {:noreply,
+     assign(socket, push_supported: false, push_unsupported_reason: params["reason"])}
+  end
+
+  # What the browser supports and how push is set up there, for the troubleshoot panel
+  def handle_event("push_diagnostics", %{"report" => %{} = report}, socket) do
+    {:noreply, assign(socket, :diagnostics, report)}
+  end
+
+  # Reloads the user's devices after this browser's subscription changed
+  defp sync_current_device(socket, endpoint) do
+    subscriptions =
+      case current_user(socket.assigns) do
+        nil -> socket.assigns[:subscriptions] || []
+        user -> WebPush.list_subscriptions(id(user))
+      end
+
+    socket
+    |> assign(:subscriptions, subscriptions)
+    |> assign(:current_device_subscribed, device_subscribed?(subscriptions, endpoint))
+    |> assign(:current_endpoint, endpoint)
+    |> assign(:device_users, WebPush.device_users(endpoint))
+  end
+
+  defp device_subscribed?(_subscriptions, nil), do: false
+
+  defp device_subscribed?(subscriptions, endpoint) do
+    Enum.any?(subscriptions, fn sub ->
+      push_sub = sub.push_subscription
+      push_sub && push_sub.endpoint == endpoint
+    end)
   end
 
   defp format_changeset_errors(%Ecto.Changeset{} = changeset) do
@@ -193,6 +296,28 @@ defmodule Bonfire.Notify.Settings.PushNotificationsLive do
 
   defp format_changeset_errors(other), do: inspect(other)
 
+  @doc """
+  How a device (the user's link to it, or the `PushSubscription` itself) is listed: the name the
+  user gave it, otherwise what its browser reported when subscribing (e.g. "Firefox on Linux
+  (installed app)"), otherwise a guess from its push service.
+  """
+  def device_label(%{device_name: name}) when is_binary(name) and name != "", do: name
+
+  def device_label(%{push_subscription: %PushSubscription{} = push_sub}),
+    do: device_label(push_sub)
+
+  def device_label(%{browser: browser} = push_sub) when is_binary(browser) do
+    device =
+      case push_sub.model || push_sub.os do
+        nil -> browser
+        os -> l("%{browser} on %{device}", browser: browser, device: os)
+      end
+
+    if push_sub.installed, do: l("%{device} (installed app)", device: device), else: device
+  end
+
+  def device_label(push_sub), do: browser_from_endpoint(e(push_sub, :endpoint, nil))
+
   @doc false
   def browser_from_endpoint(endpoint) when is_binary(endpoint) do
     cond do
@@ -217,6 +342,66 @@ defmodule Bonfire.Notify.Settings.PushNotificationsLive do
 
   def short_id(_), do: ""
 
+  @doc false
+  def diagnostics_hint("insecure_context"),
+    do: l("This page isn't served over HTTPS, which browsers require for push notifications.")
+
+  def diagnostics_hint("no_service_worker"),
+    do: l("This browser doesn't support service workers, or they are disabled in its settings.")
+
+  def diagnostics_hint("ios_not_installed"),
+    do:
+      l(
+        "On iPhone and iPad, add this site to your home screen (Share → Add to Home Screen) and open it from there to enable push notifications."
+      )
+
+  def diagnostics_hint("ios_outdated"),
+    do: l("Update to iOS 16.4 or later to get push notifications on iPhone and iPad.")
+
+  def diagnostics_hint("in_app_browser"),
+    do:
+      l(
+        "This page is open inside another app, which can't show notifications. Open it in Safari or your browser instead (from that app's ••• or share menu)."
+      )
+
+  def diagnostics_hint("no_push_manager"),
+    do:
+      l("This browser doesn't support push notifications, or they are disabled in its settings.")
+
+  def diagnostics_hint("permission_denied"),
+    do: l("Notifications are blocked for this site. Allow them in your browser's site settings.")
+
+  def diagnostics_hint("push_service_unreachable"),
+    do:
+      l(
+        "Your browser couldn't reach its push service. A firewall, VPN or privacy setting may be blocking it (in Firefox, check that dom.push.enabled is on in about:config), or try another network."
+      )
+
+  def diagnostics_hint("offline"), do: l("This device seems to be offline.")
+  def diagnostics_hint(_), do: nil
+
+  @doc false
+  def permission_help("Firefox"),
+    do:
+      l(
+        "Click the icon left of the address bar, remove the blocked notifications permission, then reload and enable notifications again."
+      )
+
+  def permission_help("Safari"),
+    do:
+      l(
+        "Open Safari Settings → Websites → Notifications and allow this site, or on iPhone and iPad, Settings → Notifications and this app."
+      )
+
+  def permission_help(browser) when browser in ["Chrome", "Edge", "Opera", "Samsung Internet"],
+    do:
+      l(
+        "Click the site settings icon left of the address bar, set Notifications to Allow, then reload the page."
+      )
+
+  def permission_help(_),
+    do: l("Allow notifications for this site in your browser's settings, then reload the page.")
+
   @doc false
   def is_current_device?(sub, current_endpoint) do
     push_sub = sub.push_subscription
@@ -20,6 +20,7 @@ defmodule Bonfire.Notify.PushNotifyLive do
       id="push-notifications-component"
       class="space-y-6"
       phx-hook="PushNotificationHook"
+      data-sw-url={Bonfire.Notify.service_worker_url()}
     >
       <div>
         <button
@@ -51,6 +52,10 @@ defmodule Bonfire.Notify.PushNotifyLive do
                 {l("Enable Notifications")}
               </button>
 
+              <p id="push-blocked-help" class="text-sm text-warning" hidden>
+                {Bonfire.Notify.Settings.PushNotificationsLive.permission_help(nil)}
+              </p>
+
               <button
                 phx-click="Bonfire.Notify:broadcast_test_notification"
                 phx-target={@event_target}
@@ -0,0 +1,27 @@
+defmodule Bonfire.Notify.PushPromptLive do
+  @moduledoc """
+  In-page prompt asking users to turn on push notifications, before the browser's own
+  permission prompt (which can't be shown again once the user blocks it) is triggered.
+  "Not now" is remembered, waiting longer after each time, and when notifications are already
+  blocked it explains how to unblock them instead. See `assets/js/push-prompt.js`.
+
+  Include it in the app layout, choosing when it appears with `trigger`:
+
+  - `"sessions"` - after the user's `sessions`th visit on this device (the default)
+  - `"event"` - when `trigger/1` is called, e.g. after they received their first reply
+  - `"immediate"` - on page load
+  """
+  use Bonfire.UI.Common.Web, :stateless_component
+
+  prop trigger, :string, default: "sessions"
+  prop sessions, :integer, default: 3
+  prop snooze_days, :integer, default: 7
+
+  @doc """
+  Shows the prompt on the user's open page, when included with `trigger="event"`.
+  """
+  def trigger(socket), do: Phoenix.LiveView.push_event(socket, "bonfire-notify:prompt", %{})
+
+  @doc false
+  def browsers, do: ["Firefox", "Safari", "Chrome", "Edge", "Opera", "Samsung Internet", "Other"]
+end
@@ -0,0 +1,11 @@
+defmodule Bonfire.Notify.PushToastsLive do
+  @moduledoc """
+  Container for the in-app toasts the notification service worker sends to a focused tab
+  instead of showing system notifications (unless the user turned off the
+  `[:push_notifications, :foreground_toasts]` setting). Include it once in the app layout.
+
+  In browsers without Web Push it also connects to the SSE stream (`Bonfire.Notify.Web.StreamingController`)
+  and shows notifications from there, see `assets/js/notify-stream.js`.
+  """
+  use Bonfire.UI.Common.Web, :stateless_component
+end
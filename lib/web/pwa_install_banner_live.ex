@@ -1,3 +1,15 @@
 defmodule Bonfire.Notify.PWAInstallBannerLive do
+  @moduledoc """
+  Banner offering to install the app, or on iOS explaining how to add it to the home screen.
+  See `assets/js/pwa-install.js`.
+
+  It only appears once the user visited `min_visits` times on at least `min_days` different days
+  (on this device), and after "not now" waits `snooze_days` before appearing again. Outcomes are
+  recorded for admins with `Bonfire.Notify.PWAInstalls`.
+  """
   use Bonfire.UI.Common.Web, :stateless_component
+
+  prop min_visits, :integer, default: 3
+  prop min_days, :integer, default: 2
+  prop snooze_days, :integer, default: 30
 end
@@ -0,0 +1,15 @@
+defmodule Bonfire.Notify.PWAInstallStatsLive do
+  use Bonfire.UI.Common.Web, :stateless_component
+  use Bonfire.Common.Settings
+
+  declare_settings_component(l("App installs"),
+    icon: "ph:download-simple-duotone",
+    description:
+      l(
+        "How often the install banner was shown, and how many people installed the app, over the last 30 days."
+      ),
+    scope: :instance
+  )
+
+  prop scope, :any, default: :instance
+end
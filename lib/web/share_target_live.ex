@@ -0,0 +1,10 @@
+defmodule Bonfire.Notify.ShareTargetLive do
+  @moduledoc """
+  Opens the composer with text, links and images shared to the installed app from other apps
+  (the manifest's `share_target`, see `Bonfire.Notify.Manifest`). The service worker receives
+  the share (or the server, without it) and opens Bonfire, where this picks it up.
+
+  Include it once in the app layout.
+  """
+  use Bonfire.UI.Common.Web, :stateless_component
+end
@@ -4,7 +4,8 @@ defmodule Bonfire.Notify.Web.StreamingController do
 
   Subscribes to the authenticated user's existing PubSub notification
   broadcasts and forwards them as Server-Sent Events over HTTP chunked
-  transfer. Used by the Tauri desktop app for real-time OS notifications.
+  transfer. Used by the Tauri desktop app for real-time OS notifications, and by
+  browsers without Web Push while a tab is open (see `assets/js/notify-stream.js`).
 
   ## Endpoint
 
@@ -12,7 +13,8 @@ defmodule Bonfire.Notify.Web.StreamingController do
 
   ## Authentication
 
-  Requires a valid Bearer token (same as other Mastodon-compatible API routes).
+  Requires a valid Bearer token (same as other Mastodon-compatible API routes),
+  or for browsers, their session.
   """
 
   use Bonfire.UI.Common.Web, :controller
@@ -85,7 +87,7 @@ defmodule Bonfire.Notify.Web.StreamingController do
 
       # Push an authoritative starting count so the badge is correct on connect
       # (not just after the next change).
-      initial_count = unseen_notifications_count(feed_id, current_user)
+      initial_count = Bonfire.Notify.unseen_count(current_user, feed_id)
 
       case send_unseen_count(conn, initial_count) do
         {:ok, conn} -> stream_loop(conn, initial_count)
@@ -97,20 +99,6 @@ defmodule Bonfire.Notify.Web.StreamingController do
     end
   end
 
-  defp unseen_notifications_count(nil, _current_user), do: 0
-
-  defp unseen_notifications_count(feed_id, current_user) do
-    Bonfire.Common.Utils.maybe_apply(
-      Bonfire.Social.FeedActivities,
-      :unseen_count,
-      [feed_id, [current_user: current_user]]
-    )
-    |> case do
-      count when is_integer(count) and count >= 0 -> count
-      _ -> 0
-    end
-  end
-
   defp send_unseen_count(conn, count) do
     event = Jason.encode!(%{count: count})
     Plug.Conn.chunk(conn, "event: unseen_count\ndata: #{event}\n\n")
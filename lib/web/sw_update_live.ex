@@ -0,0 +1,10 @@
+defmodule Bonfire.Notify.SWUpdateLive do
+  @moduledoc """
+  Prompt offering to reload when an updated service worker is installed but waiting (browsers
+  only switch to it once every tab is closed, which in an installed app can take days).
+  Reloading makes it take over and reloads every open tab. See `assets/js/sw-update.js`.
+
+  Include it once in the app layout.
+  """
+  use Bonfire.UI.Common.Web, :stateless_component
+end
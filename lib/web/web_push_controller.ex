@@ -0,0 +1,90 @@
+defmodule Bonfire.Notify.Web.WebPushController do
+  @moduledoc """
+  JSON endpoints called by the notification service worker (see `assets/js/notify-sw.js`).
+
+  The worker has no session, so rather than with cookies requests are authenticated
+  with the signed token carried in each push payload, or with the subscription's own
+  `auth` secret when renewing it.
+
+  Implements:
+  - POST /api/v1-bonfire/notify/action - Perform a notification action
+  - POST /api/v1-bonfire/notify/subscription - Renew a subscription rotated by the browser
+  - POST /api/v1-bonfire/notify/receipts - Report notifications shown, clicked or dismissed
+  """
+
+  use Bonfire.UI.Common.Web, :controller
+  import Untangle
+
+  alias Bonfire.Notify.PushActions
+  alias Bonfire.Notify.PushReceipts
+  alias Bonfire.Notify.WebPush
+
+  @doc """
+  Performs a notification action (`reply`, `like`, `follow` or `mark_read`).
+
+  Expects `{"token": "...", "action": "...", "text": "..."}`, where `text` is only used for replies.
+  Responds with the user's updated unread count as `app_badge`.
+  """
+  def action(conn, %{"token" => token, "action" => action} = params) do
+    debug(action, "POST /api/v1-bonfire/notify/action")
+
+    case PushActions.perform(token, action, params) do
+      {:error, :invalid_token} -> error_response(conn, 401, "invalid_token")
+      {:error, :not_allowed} -> error_response(conn, 403, "not_allowed")
+      {:error, reason} -> error_response(conn, 422, reason)
+      _ -> json(conn, %{ok: true, app_badge: unseen_count(token)})
+    end
+  end
+
+  def action(conn, _params), do: error_response(conn, 400, "missing_params")
+
+  @doc """
+  Replaces a rotated subscription with the new one, keeping the same device row.
+
+  Expects `{"old_endpoint": "...", "old_auth": "...", "subscription": {"endpoint": "...", "keys": {...}}}`,
+  authenticated by the old subscription's `auth` secret (see `Bonfire.Notify.WebPush.renew_subscription/3`).
+  """
+  def renew(conn, %{"old_endpoint" => old_endpoint, "subscription" => subscription} = params) do
+    debug(old_endpoint, "POST /api/v1-bonfire/notify/subscription")
+
+    case WebPush.renew_subscription(old_endpoint, params["old_auth"], subscription) do
+      {:ok, _push_sub} -> json(conn, %{ok: true})
+      {:error, :not_found} -> error_response(conn, 404, "not_found")
+      {:error, reason} -> error_response(conn, 422, reason)
+    end
+  end
+
+  def renew(conn, _params), do: error_response(conn, 400, "missing_params")
+
+  @doc """
+  Records delivery, click and dismiss receipts, see `Bonfire.Notify.PushReceipts.record/3`.
+
+  Expects `{"endpoint": "...", "auth": "...", "receipts": [{"id": "...", "event": "shown", "at": 1700000000000}]}`,
+  authenticated by the subscription's `auth` secret like `renew/2`.
+  """
+  def receipts(conn, %{"endpoint" => endpoint, "receipts" => receipts} = params) do
+    debug(endpoint, "POST /api/v1-bonfire/notify/receipts")
+
+    case PushReceipts.record(endpoint, params["auth"], receipts) do
+      {:ok, count} -> json(conn, %{ok: true, recorded: count})
+      {:error, :not_found} -> error_response(conn, 404, "not_found")
+      {:error, reason} -> error_response(conn, 422, reason)
+    end
+  end
+
+  def receipts(conn, _params), do: error_response(conn, 400, "missing_params")
+
+  # so the worker can update the app badge, e.g. after marking as read
+  defp unseen_count(token) do
+    case PushActions.verify_token(token) do
+      {:ok, %{"user_id" => user_id}} -> Bonfire.Notify.unseen_count(user_id)
+      _ -> nil
+    end
+  end
+
+  defp error_response(conn, status, reason) do
+    conn
+    |> put_status(status)
+    |> json(%{error: Bonfire.Common.Errors.error_msg(reason)})
+  end
+end
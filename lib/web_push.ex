@@ -7,6 +7,7 @@ defmodule Bonfire.Notify.WebPush do
   import Ecto.Query
   import Bonfire.Common.Config, only: [repo: 0]
 
+  alias Bonfire.Notify.PushActions
   alias Bonfire.Notify.PushSubscription
   alias Bonfire.Notify.UserPushSubscription
 
@@ -44,6 +45,99 @@ defmodule Bonfire.Notify.WebPush do
     end
   end
 
+  @doc """
+  Registers a push subscription for a user that replaces `old_endpoint` on the same device
+  (e.g. after re-subscribing with a new VAPID key), keeping the device row and its user links.
+
+  Falls back to `subscribe/2` when the user isn't linked to the old endpoint.
+  """
+  def resubscribe(user_id, old_endpoint, data) when is_binary(old_endpoint) do
+    with %PushSubscription{} = old <- PushSubscription.get_by_endpoint(old_endpoint),
+         true <- user_linked?(user_id, old.id),
+         {:ok, push_sub} <- replace_subscription(old, data),
+         {:ok, user_sub} <- find_or_create_user_link(user_id, push_sub.id, %{}) do
+      {:ok, %{user_sub | push_subscription: push_sub}}
+    else
+      {:error, reason} -> {:error, reason}
+      _ -> subscribe(user_id, data)
+    end
+  end
+
+  def resubscribe(user_id, _old_endpoint, data), do: subscribe(user_id, data)
+
+  @doc """
+  Renews a push subscription on behalf of the service worker, which has no session, after the browser
+  rotated it (`pushsubscriptionchange`). Knowing the old subscription's `auth` secret proves ownership.
+  """
+  def renew_subscription(old_endpoint, old_auth, data) do
+    with {:ok, old} <- verify_device(old_endpoint, old_auth) do
+      replace_subscription(old, data)
+    end
+  end
+
+  @doc """
+  Finds the device with this endpoint, as long as `auth` is its subscription's `auth` secret.
+  That's how requests from the service worker, which has no session, prove they come from the device.
+  """
+  def verify_device(endpoint, auth) when is_binary(endpoint) and is_binary(auth) do
+    case PushSubscription.get_by_endpoint(endpoint) do
+      %PushSubscription{auth_key: auth_key} = push_sub when is_binary(auth_key) ->
+        if Plug.Crypto.secure_compare(auth_key, auth),
+          do: {:ok, push_sub},
+          else: {:error, :not_found}
+
+      _ ->
+        {:error, :not_found}
+    end
+  end
+
+  def verify_device(_endpoint, _auth), do: {:error, :not_found}
+
+  @doc """
+  Moves a device to a new endpoint and keys without creating a duplicate row. If the new endpoint
+  is already registered, the old device's user links are moved onto it and the old row is removed.
+  """
+  def replace_subscription(%PushSubscription{} = old, data) do
+    with {:ok, parsed_attrs} <- PushSubscription.parse_subscription_data(data) do
+      {_user_attrs, device_attrs} = split_attrs(parsed_attrs)
+
+      case PushSubscription.get_by_endpoint(device_attrs.endpoint) do
+        %PushSubscription{id: id} = existing when id != old.id ->
+          repo().transact_with(fn ->
+            from(us in UserPushSubscription, where: us.push_subscription_id == ^old.id)
+            |> repo().all()
+            |> Enum.each(fn user_sub ->
+              user_attrs =
+                user_sub
+                |> Map.take([:alerts, :policy, :device_name, :categories])
+                |> Map.reject(fn {_key, value} -> is_nil(value) end)
+
+              find_or_create_user_link(user_sub.id, existing.id, user_attrs)
+            end)
+
+            repo().delete(old)
+
+            existing
+            |> PushSubscription.changeset(device_attrs |> Map.put(:active, true))
+            |> repo().update()
+          end)
+
+        _ ->
+          old
+          |> PushSubscription.changeset(device_attrs |> Map.put(:active, true))
+          |> repo().update()
+      end
+    end
+  end
+
+  defp user_linked?(user_id, push_subscription_id) do
+    repo().exists?(
+      from(us in UserPushSubscription,
+        where: us.id == ^user_id and us.push_subscription_id == ^push_subscription_id
+      )
+    )
+  end
+
   defp split_attrs(parsed) do
     user_attrs = Map.take(parsed, [:alerts, :policy])
 
@@ -54,7 +148,12 @@ defmodule Bonfire.Notify.WebPush do
         :p256dh_key,
         :platform,
         :user_agent,
-        :device_name
+        :device_name,
+        :browser,
+        :os,
+        :model,
+        :installed,
+        :payload_format
       ])
 
     {user_attrs, device_attrs}
@@ -167,8 +266,9 @@ defmodule Bonfire.Notify.WebPush do
 
   - `:notify_category` - a Bonfire notification category (e.g. `:likes`,
     `:boosts`, `:follows`, `:messages`, `:replies_and_mentions`). When given,
-    subscriptions whose Mastodon `alerts` map disables the corresponding alert
-    type are skipped.
+    devices where the user turned that category off (or, unless they chose otherwise for
+    the device, turned it off in their user-wide settings) are skipped, and so are
+    subscriptions whose Mastodon `alerts` map disables the corresponding alert type.
   - `:from_id` - the id of the account that triggered the notification. Used to
     enforce each subscription's `policy` (`all` / `followed` / `follower` / `none`).
   """
@@ -208,16 +308,55 @@ defmodule Bonfire.Notify.WebPush do
     end
   end
 
-  # Filters {user_sub, push_sub} pairs by each subscription's Mastodon alerts/policy.
+  # Filters {user_sub, push_sub} pairs by each device's categories and each subscription's
+  # Mastodon alerts/policy.
   defp filter_pairs_by_preferences(pairs, opts) do
-    alert_key = opts[:notify_category] && masto_alert_key(opts[:notify_category])
+    category = opts[:notify_category]
+    alert_key = category && masto_alert_key(category)
     from_id = opts[:from_id] && Bonfire.Common.Enums.id(opts[:from_id])
+    user_defaults = category_defaults(pairs, category)
 
     Enum.filter(pairs, fn {user_sub, _push_sub} ->
-      passes_alerts?(user_sub, alert_key) and passes_policy?(user_sub, from_id)
+      passes_category?(user_sub, category, user_defaults) and
+        passes_alerts?(user_sub, alert_key) and passes_policy?(user_sub, from_id)
     end)
   end
 
+  # The user-wide `[:push_notifications, category]` setting of users with a device that didn't
+  # choose for itself
+  defp category_defaults(_pairs, nil), do: %{}
+
+  defp category_defaults(pairs, category) do
+    user_ids =
+      for {user_sub, _push_sub} <- pairs,
+          UserPushSubscription.category_enabled?(user_sub, category, nil) == nil,
+          uniq: true,
+          do: user_sub.id
+
+    case user_ids do
+      [] ->
+        %{}
+
+      user_ids ->
+        from(u in Bonfire.Data.Identity.User, where: u.id in ^user_ids, preload: [:settings])
+        |> repo().many()
+        |> Map.new(fn user ->
+          {user.id,
+           Bonfire.Common.Settings.get([:push_notifications, category], true, context: user)}
+        end)
+    end
+  end
+
+  defp passes_category?(_user_sub, nil, _user_defaults), do: true
+
+  defp passes_category?(user_sub, category, user_defaults) do
+    UserPushSubscription.category_enabled?(
+      user_sub,
+      category,
+      Map.get(user_defaults, user_sub.id, true)
+    ) == true
+  end
+
   # Unknown/absent category -> don't block (we can't map it to an alert type).
   defp passes_alerts?(_user_sub, nil), do: true
 
@@ -283,7 +422,25 @@ defmodule Bonfire.Notify.WebPush do
       |> Keyword.drop([:notify_category, :from_id])
       |> Keyword.put_new(:ttl, 86_400)
 
-    results = ex_nudge_module().send_notifications(subscriptions, message, opts)
+    shared = shared_devices(subscriptions)
+    recipients = recipients(subscriptions)
+
+    # Payloads can differ per recipient and per device, so send to each group of devices separately
+    results =
+      subscriptions
+      |> Enum.group_by(
+        &{&1.metadata[:user_id], &1.metadata[:payload_format],
+         MapSet.member?(shared, &1.metadata[:id])}
+      )
+      |> Enum.flat_map(fn {{user_id, payload_format, shared?}, group_subscriptions} ->
+        ex_nudge_module().send_notifications(
+          group_subscriptions,
+          message
+          |> put_recipient_data(user_id, shared: shared?, recipient: recipients[user_id])
+          |> maybe_to_declarative(payload_format),
+          opts
+        )
+      end)
 
     # Update subscription statuses based on results
     Enum.each(results, fn
@@ -308,6 +465,24 @@ defmodule Bonfire.Notify.WebPush do
     {:error, :no_subscriptions}
   end
 
+  # Devices receiving notifications for more than one user, e.g. a shared browser
+  defp shared_devices(subscriptions) do
+    push_subscription_ids =
+      subscriptions
+      |> Enum.map(& &1.metadata[:id])
+      |> Enum.reject(&is_nil/1)
+      |> Enum.uniq()
+
+    from(us in UserPushSubscription,
+      where: us.push_subscription_id in ^push_subscription_ids,
+      group_by: us.push_subscription_id,
+      having: count(us.id) > 1,
+      select: us.push_subscription_id
+    )
+    |> repo().all()
+    |> MapSet.new()
+  end
+
   defp update_subscription_status(%ExNudge.Subscription{endpoint: endpoint}, :success) do
     from(s in PushSubscription, where: s.endpoint == ^endpoint)
     |> repo().update_all(
@@ -351,6 +526,71 @@ defmodule Bonfire.Notify.WebPush do
     end
   end
 
+  @doc """
+  Turns a notification category (one of `Bonfire.Notify.categories/0`) on or off for one of the
+  user's devices (by its push_subscription_id), whatever their user-wide setting for it.
+  """
+  def set_device_category(user_id, push_subscription_id, category, enabled?)
+      when is_boolean(enabled?) do
+    with key when is_binary(key) <- category_key(category),
+         %UserPushSubscription{} = user_sub <-
+           repo().one(
+             from(us in UserPushSubscription,
+               where: us.id == ^user_id and us.push_subscription_id == ^push_subscription_id
+             )
+           ) do
+      user_sub
+      |> UserPushSubscription.changeset(%{
+        categories: Map.put(user_sub.categories || %{}, key, enabled?)
+      })
+      |> repo().update()
+    else
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp category_key(category) do
+    key = to_string(category)
+    if key in Enum.map(Bonfire.Notify.categories(), &to_string/1), do: key
+  end
+
+  @doc """
+  Which of these users turned `category` on for at least one of their devices, so they still
+  get it there when it's off in their user-wide settings.
+  """
+  def device_opt_ins(user_ids, category) when is_list(user_ids) do
+    key = to_string(category)
+
+    from(us in UserPushSubscription,
+      where: us.id in ^user_ids and fragment("(?->>?) = 'true'", us.categories, ^key),
+      distinct: true,
+      select: us.id
+    )
+    |> repo().all()
+    |> MapSet.new()
+  end
+
+  @doc """
+  Names one of the user's devices (by its push_subscription_id) for their device list.
+  A blank name goes back to describing it by what the browser reported.
+  """
+  def rename_device(user_id, push_subscription_id, name) do
+    case repo().one(
+           from(us in UserPushSubscription,
+             where: us.id == ^user_id and us.push_subscription_id == ^push_subscription_id,
+             preload: [:push_subscription]
+           )
+         ) do
+      %UserPushSubscription{} = user_sub ->
+        user_sub
+        |> UserPushSubscription.changeset(%{device_name: String.trim(name || "")})
+        |> repo().update()
+
+      nil ->
+        {:error, :not_found}
+    end
+  end
+
   @doc """
   Removes a subscription by endpoint.
   Deletes the PushSubscription (cascades to UserPushSubscription links).
@@ -360,6 +600,20 @@ defmodule Bonfire.Notify.WebPush do
     |> repo().delete_all()
   end
 
+  @doc """
+  Removes the subscription with this endpoint if it's one of the user's devices, e.g. after the
+  browser unsubscribed. It goes for all its users, since the browser dropped it for all of them.
+  """
+  def remove_user_subscription_by_endpoint(user_id, endpoint) when is_binary(endpoint) do
+    user_subscriptions =
+      from(us in UserPushSubscription, where: us.id == ^user_id, select: us.push_subscription_id)
+
+    from(s in PushSubscription,
+      where: s.endpoint == ^endpoint and s.id in subquery(user_subscriptions)
+    )
+    |> repo().delete_all()
+  end
+
   @doc """
   Removes a PushSubscription by its database ID.
   """
@@ -406,18 +660,212 @@ defmodule Bonfire.Notify.WebPush do
 
   @doc """
   Helper to format a push notification message.
+
+  ## Options
+
+  - `:url`, `:icon`, `:tag`, `:require_interaction` - how the notification is displayed
+  - `:object_id` - the object the notification is about
+  - `:actor_id` - the account that triggered it (e.g. for follow back)
+  - `:actor_name` - their display name, so the service worker can group notifications (e.g. "Alice, Bob and 8 others liked your post")
+  - `:category` - its notification category, e.g. so urgent ones keep their sound during quiet hours
+  - `:actions` - actions the service worker may offer, see `Bonfire.Notify.PushActions`
+  - `:format` - `:declarative` for a Declarative Web Push payload (see `to_declarative/1`),
+    otherwise the JSON format understood by the bundled service worker. Devices get the format
+    their browser supports when sending anyway.
   """
   def format_push_message(title, body, opts \\ []) do
-    Jason.encode!(%{
+    %{
       title: title,
       body: body,
       icon: opts[:icon],
       tag: opts[:tag],
       requireInteraction: opts[:require_interaction] || false,
-      data: %{url: opts[:url]}
-    })
+      data: %{
+        url: opts[:url],
+        id: opts[:object_id],
+        actor_id: opts[:actor_id],
+        actor_name: opts[:actor_name],
+        category: opts[:category],
+        actions: opts[:actions] || []
+      }
+    }
+    |> Jason.encode!()
+    |> maybe_to_declarative(opts[:format])
+  end
+
+  @doc """
+  Converts a JSON push message to the Declarative Web Push format (`web_push: 8030`), which
+  browsers supporting it (e.g. Safari) can display without waking the service worker.
+
+  The payload is marked `mutable`, so where the service worker runs it still handles the push
+  as usual (toasts, grouping, actions), reading the rest of our data from `notification.data`.
+  Messages already declarative, or not JSON, are returned as-is.
+  """
+  def to_declarative(message) when is_binary(message) do
+    case Jason.decode(message) do
+      {:ok, %{"web_push" => _}} ->
+        message
+
+      {:ok, %{"title" => title} = payload} ->
+        data = payload["data"] || %{}
+
+        notification =
+          %{
+            "title" => title,
+            "body" => payload["body"],
+            "icon" => payload["icon"],
+            "tag" => payload["tag"],
+            # required, and must be absolute
+            "navigate" => Bonfire.Common.URIs.based_url(data["url"] || "/"),
+            "require_interaction" => payload["requireInteraction"] == true || nil,
+            "data" => data
+          }
+          |> Map.reject(fn {_key, value} -> is_nil(value) end)
+
+        %{"web_push" => 8030, "notification" => notification, "mutable" => true}
+        |> Map.merge(Map.take(payload, ["app_badge", "foreground_toast"]))
+        |> Jason.encode!()
+
+      _ ->
+        message
+    end
   end
 
+  def to_declarative(message), do: message
+
+  defp maybe_to_declarative(message, :declarative), do: to_declarative(message)
+  defp maybe_to_declarative(message, _format), do: message
+
+  @doc """
+  Adds recipient-specific data to a JSON push message:
+
+  - `app_badge` - their unread notifications count, for the app icon badge
+  - `foreground_toast` - whether the service worker may show an in-app toast instead of a
+    system notification while Bonfire is focused (the `[:push_notifications, :foreground_toasts]` setting)
+  - `data.token` - when the notification has actions, the token that lets the service worker perform them
+    (`notification.data.token` in declarative payloads)
+  - `data.recipient` - who it's for (`id`, `name`, `username` and `avatar`), and with the `shared: true`
+    option (a device receiving notifications for several users) that it's `shared` and the `switch_url`
+    that switches to their account before opening the notification
+
+  Other messages are returned as-is. When sending to many users, the `recipient` option passes
+  the already loaded `%{user: user, unseen_count: count}` instead of querying them.
+  """
+  def put_recipient_data(message, user_id, opts \\ [])
+
+  def put_recipient_data(message, user_id, opts) when is_binary(message) and is_binary(user_id) do
+    case Jason.decode(message) do
+      {:ok, %{} = payload} ->
+        %{user: user, unseen_count: unseen_count} = opts[:recipient] || recipient(user_id)
+
+        payload
+        |> Map.put("app_badge", unseen_count)
+        |> Map.put("foreground_toast", foreground_toasts?(user))
+        |> put_action_token(user_id)
+        |> put_recipient(user, opts[:shared] == true)
+        |> Jason.encode!()
+
+      _ ->
+        message
+    end
+  end
+
+  def put_recipient_data(message, _user_id, _opts), do: message
+
+  # Loads what `put_recipient_data/3` needs (settings, names, avatars and unread counts)
+  # for all recipients of a send at once, rather than a few queries per recipient
+  defp recipients(subscriptions) do
+    case subscriptions |> Enum.map(& &1.metadata[:user_id]) |> Enum.filter(&is_binary/1) do
+      [] ->
+        %{}
+
+      user_ids ->
+        users =
+          from(u in Bonfire.Data.Identity.User,
+            where: u.id in ^Enum.uniq(user_ids),
+            preload: [:settings, :character, profile: [:icon]]
+          )
+          |> repo().many()
+
+        unseen_counts = Bonfire.Notify.unseen_counts(users)
+
+        Map.new(users, &{&1.id, %{user: &1, unseen_count: Map.get(unseen_counts, &1.id, 0)}})
+    end
+  end
+
+  defp recipient(user_id) do
+    user = Bonfire.Me.Users.get_current(user_id)
+    %{user: user, unseen_count: Bonfire.Notify.unseen_count(user)}
+  end
+
+  defp foreground_toasts?(user) do
+    Bonfire.Common.Settings.get([:push_notifications, :foreground_toasts], true, context: user)
+  end
+
+  defp put_action_token(%{"data" => %{"actions" => [_ | _]} = data} = payload, user_id) do
+    %{payload | "data" => Map.put(data, "token", PushActions.sign_token(user_id, data))}
+  end
+
+  defp put_action_token(
+         %{"notification" => %{"data" => %{"actions" => [_ | _]}} = notification} = payload,
+         user_id
+       ) do
+    %{payload | "notification" => put_action_token(notification, user_id)}
+  end
+
+  defp put_action_token(payload, _user_id), do: payload
+
+  defp put_recipient(payload, nil, _shared?), do: payload
+
+  defp put_recipient(%{"notification" => %{} = notification} = payload, user, shared?) do
+    %{payload | "notification" => put_recipient(notification, user, shared?)}
+  end
+
+  defp put_recipient(payload, user, shared?) do
+    data = payload["data"] || %{}
+    username = e(user, :character, :username, nil)
+
+    recipient =
+      %{
+        "id" => id(user),
+        "name" => e(user, :profile, :name, nil) || username,
+        "username" => username,
+        "avatar" => Bonfire.Common.Media.avatar_url(user),
+        "shared" => shared?
+      }
+      |> maybe_put_switch_url(shared? && username, data["url"])
+
+    Map.put(payload, "data", Map.put(data, "recipient", recipient))
+  end
+
+  defp maybe_put_switch_url(recipient, username, url) when is_binary(username) do
+    Map.put(
+      recipient,
+      "switch_url",
+      "/switch-user/@#{username}?" <> URI.encode_query(%{"go" => url || "/"})
+    )
+  end
+
+  defp maybe_put_switch_url(recipient, _username, _url), do: recipient
+
+  @doc """
+  Users the device with this endpoint receives notifications for, e.g. several accounts logged
+  in on a shared browser.
+  """
+  def device_users(endpoint) when is_binary(endpoint) do
+    from(us in UserPushSubscription,
+      join: ps in PushSubscription,
+      on: ps.id == us.push_subscription_id,
+      where: ps.endpoint == ^endpoint and ps.active == true,
+      select: us.id
+    )
+    |> repo().all()
+    |> Enum.map(&Bonfire.Me.Users.get_current/1)
+    |> Enum.reject(&is_nil/1)
+  end
+
+  def device_users(_endpoint), do: []
+
   @doc """
   Broadcasts a message to ALL active subscriptions (admin/testing use).
   Use with caution - this sends to every subscribed user.
@@ -0,0 +1,14 @@
+defmodule Bonfire.Notify.Repo.Migrations.AddPushReceipts do
+  @moduledoc false
+  use Ecto.Migration
+
+  def up do
+    require Bonfire.Notify.PushReceipt.Migration
+    Bonfire.Notify.PushReceipt.Migration.migrate_push_receipt(:up)
+  end
+
+  def down do
+    require Bonfire.Notify.PushReceipt.Migration
+    Bonfire.Notify.PushReceipt.Migration.migrate_push_receipt(:down)
+  end
+end
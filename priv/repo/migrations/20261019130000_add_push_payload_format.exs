@@ -0,0 +1,16 @@
+defmodule Bonfire.Notify.Repo.Migrations.AddPushPayloadFormat do
+  @moduledoc false
+  use Ecto.Migration
+
+  def up do
+    alter table(:bonfire_notify_web_push_subscription) do
+      add_if_not_exists(:payload_format, :string, default: "legacy", null: false)
+    end
+  end
+
+  def down do
+    alter table(:bonfire_notify_web_push_subscription) do
+      remove_if_exists(:payload_format, :string)
+    end
+  end
+end
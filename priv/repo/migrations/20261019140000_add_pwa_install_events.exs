@@ -0,0 +1,14 @@
+defmodule Bonfire.Notify.Repo.Migrations.AddPWAInstallEvents do
+  @moduledoc false
+  use Ecto.Migration
+
+  def up do
+    require Bonfire.Notify.PWAInstallEvent.Migration
+    Bonfire.Notify.PWAInstallEvent.Migration.migrate_pwa_install_event(:up)
+  end
+
+  def down do
+    require Bonfire.Notify.PWAInstallEvent.Migration
+    Bonfire.Notify.PWAInstallEvent.Migration.migrate_pwa_install_event(:down)
+  end
+end
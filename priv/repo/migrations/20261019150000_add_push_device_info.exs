@@ -0,0 +1,30 @@
+defmodule Bonfire.Notify.Repo.Migrations.AddPushDeviceInfo do
+  @moduledoc false
+  use Ecto.Migration
+
+  def up do
+    alter table(:bonfire_notify_web_push_subscription) do
+      add_if_not_exists(:browser, :string)
+      add_if_not_exists(:os, :string)
+      add_if_not_exists(:model, :string)
+      add_if_not_exists(:installed, :boolean)
+    end
+
+    alter table(:bonfire_notify_user_push_subscription) do
+      add_if_not_exists(:device_name, :string)
+    end
+  end
+
+  def down do
+    alter table(:bonfire_notify_web_push_subscription) do
+      remove_if_exists(:browser, :string)
+      remove_if_exists(:os, :string)
+      remove_if_exists(:model, :string)
+      remove_if_exists(:installed, :boolean)
+    end
+
+    alter table(:bonfire_notify_user_push_subscription) do
+      remove_if_exists(:device_name, :string)
+    end
+  end
+end
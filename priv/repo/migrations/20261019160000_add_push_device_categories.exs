@@ -0,0 +1,16 @@
+defmodule Bonfire.Notify.Repo.Migrations.AddPushDeviceCategories do
+  @moduledoc false
+  use Ecto.Migration
+
+  def up do
+    alter table(:bonfire_notify_user_push_subscription) do
+      add_if_not_exists(:categories, :map)
+    end
+  end
+
+  def down do
+    alter table(:bonfire_notify_user_push_subscription) do
+      remove_if_exists(:categories, :map)
+    end
+  end
+end
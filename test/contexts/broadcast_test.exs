@@ -147,6 +147,77 @@ defmodule Bonfire.Notify.BroadcastTest do
     end
   end
 
+  describe "send_preview/2" do
+    setup do
+      Application.put_env(:bonfire_notify, :use_ex_nudge_mock, true)
+
+      on_exit(fn ->
+        Application.delete_env(:bonfire_notify, :use_ex_nudge_mock)
+      end)
+
+      :ok
+    end
+
+    test "sends the announcement's notification to the admin's own devices only" do
+      account = fake_account!()
+      admin = fake_admin!(account)
+      other_user = fake_user!()
+
+      {:ok, _} =
+        WebPush.subscribe(admin.id, %{
+          "endpoint" => "https://push.test/admin-preview",
+          "keys" => %{"p256dh" => "test_p256dh", "auth" => "test_auth"}
+        })
+
+      {:ok, _} =
+        WebPush.subscribe(other_user.id, %{
+          "endpoint" => "https://push.test/other-preview",
+          "keys" => %{"p256dh" => "test_p256dh", "auth" => "test_auth"}
+        })
+
+      assert {:ok, 1} =
+               Bonfire.Notify.Broadcast.send_preview(admin, %{
+                 "html_body" => "<p>Maintenance <b>tonight</b></p>"
+               })
+
+      assert_received {ExNudge.Mock, :sent, [subscription], message}
+      assert subscription.endpoint == "https://push.test/admin-preview"
+
+      decoded = Jason.decode!(message)
+      assert decoded["tag"] == "broadcast-preview"
+      assert decoded["body"] =~ "Maintenance"
+      refute decoded["body"] =~ "<b>"
+
+      refute_received {ExNudge.Mock, :sent, _, _}
+    end
+
+    test "prefers the content warning as the notification body" do
+      admin = fake_admin!(fake_account!())
+
+      message =
+        Bonfire.Notify.Broadcast.preview_message(admin, %{
+          "summary" => "Service update",
+          "html_body" => "Details inside"
+        })
+
+      assert Jason.decode!(message)["body"] == "Service update"
+    end
+
+    test "errors when the admin has no device with push enabled" do
+      admin = fake_admin!(fake_account!())
+
+      assert {:error, :no_subscriptions} =
+               Bonfire.Notify.Broadcast.send_preview(admin, %{"html_body" => "Hello"})
+    end
+
+    test "non-admin/non-mod gets unauthorized error" do
+      user = fake_user!()
+
+      assert {:error, :unauthorized} =
+               Bonfire.Notify.Broadcast.send_preview(user, %{"html_body" => "Hello"})
+    end
+  end
+
   describe "broadcast/2 with custom circles" do
     test "notifies only user-level circle members, not non-members" do
       account = fake_account!()
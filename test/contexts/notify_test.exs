@@ -84,5 +84,95 @@ defmodule Bonfire.Notify.PostsTest do
       assert data["data"]["url"] == "/posts/test123"
       assert data["tag"] == "test123"
     end
+
+    test "carries the object id and the actions allowed for its category" do
+      creator = fake_user!()
+
+      object = %{
+        id: "test123",
+        name: "Test Reply",
+        notify_category: :replies_and_mentions
+      }
+
+      data = Bonfire.Notify.format_push_message(object, creator) |> Jason.decode!()
+
+      assert data["data"]["id"] == "test123"
+      assert data["data"]["actor_id"] == creator.id
+      assert data["data"]["actor_name"] == creator.profile.name
+      assert data["data"]["actions"] == ["reply", "like", "mark_read"]
+      assert data["data"]["category"] == "replies_and_mentions"
+    end
+  end
+
+  describe "seen_ids/2" do
+    test "is empty for objects the user hasn't seen" do
+      user = fake_user!()
+
+      assert Bonfire.Notify.seen_ids(user, [Needle.ULID.generate(), nil]) == []
+    end
+
+    test "is empty without a user" do
+      assert Bonfire.Notify.seen_ids(nil, [Needle.ULID.generate()]) == []
+    end
+
+    test "lists the objects the user has seen" do
+      user = fake_user!()
+
+      {:ok, post} =
+        Bonfire.Posts.publish(
+          current_user: fake_user!(),
+          post_attrs: %{post_content: %{html_body: "<p>Seen it</p>"}},
+          boundary: "public"
+        )
+
+      Bonfire.Social.Seen.mark_seen(user, post)
+
+      assert Bonfire.Notify.seen_ids(user, [post.id, Needle.ULID.generate(), "not an id"]) ==
+               [post.id]
+    end
+  end
+
+  describe "quiet_hours/1" do
+    test "is off by default, with only messages marked urgent" do
+      user = fake_user!()
+
+      assert Bonfire.Notify.quiet_hours(user) == %{
+               do_not_disturb: false,
+               start: nil,
+               end: nil,
+               urgent: [:messages]
+             }
+    end
+
+    test "reflects the user's settings" do
+      user = fake_user!()
+
+      Bonfire.Common.Settings.put([:push_notifications, :quiet_hours_start], "22:00",
+        current_user: user
+      )
+
+      Bonfire.Common.Settings.put([:push_notifications, :quiet_hours_end], "07:30",
+        current_user: user
+      )
+
+      Bonfire.Common.Settings.put([:push_notifications, :urgent, :follows], true,
+        current_user: user
+      )
+
+      quiet_hours = Bonfire.Notify.quiet_hours(Bonfire.Me.Users.get_current(user.id))
+      assert quiet_hours.start == "22:00"
+      assert quiet_hours.end == "07:30"
+      assert quiet_hours.urgent == [:follows, :messages]
+    end
+
+    test "ignores invalid times" do
+      user = fake_user!()
+
+      Bonfire.Common.Settings.put([:push_notifications, :quiet_hours_start], "25:99",
+        current_user: user
+      )
+
+      assert Bonfire.Notify.quiet_hours(Bonfire.Me.Users.get_current(user.id)).start == nil
+    end
   end
 end
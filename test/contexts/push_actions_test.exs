@@ -0,0 +1,184 @@
+defmodule Bonfire.Notify.PushActionsTest do
+  use Bonfire.Notify.DataCase, async: true
+
+  alias Bonfire.Notify.PushActions
+  alias Bonfire.Notify.WebPush
+
+  describe "actions_for/1" do
+    test "offers reply for replies and messages" do
+      assert "reply" in PushActions.actions_for(:replies_and_mentions)
+      assert "reply" in PushActions.actions_for(:messages)
+      assert "follow" in PushActions.actions_for(:follows)
+    end
+
+    test "offers like for likes and boosts" do
+      assert "like" in PushActions.actions_for(:likes)
+      assert "like" in PushActions.actions_for(:boosts)
+    end
+
+    test "offers nothing for unknown categories" do
+      assert [] = PushActions.actions_for(nil)
+      assert [] = PushActions.actions_for(:something_else)
+    end
+  end
+
+  describe "tokens" do
+    test "verifies a signed token and returns its claims" do
+      user = fake_user!()
+
+      token =
+        PushActions.sign_token(user.id, %{"id" => "object_id", "actions" => ["like"]})
+
+      assert {:ok, claims} = PushActions.verify_token(token)
+      assert claims["user_id"] == user.id
+      assert claims["id"] == "object_id"
+      assert claims["actions"] == ["like"]
+    end
+
+    test "remembers the notification category, so replies to messages stay direct" do
+      user = fake_user!()
+
+      token =
+        PushActions.sign_token(user.id, %{
+          "id" => "object_id",
+          "category" => "messages",
+          "actions" => ["reply"]
+        })
+
+      assert {:ok, %{"category" => "messages"}} = PushActions.verify_token(token)
+    end
+
+    test "rejects tampered or missing tokens" do
+      assert {:error, :invalid_token} = PushActions.verify_token("not a token")
+      assert {:error, :invalid_token} = PushActions.verify_token(nil)
+    end
+
+    test "push messages with actions carry a token for the recipient" do
+      user = fake_user!()
+
+      message =
+        WebPush.format_push_message("Title", "Body",
+          object_id: "object_id",
+          actions: ["reply", "mark_read"]
+        )
+
+      data = message |> WebPush.put_recipient_data(user.id) |> Jason.decode!()
+
+      assert {:ok, %{"user_id" => user_id}} = PushActions.verify_token(data["data"]["token"])
+      assert user_id == user.id
+    end
+
+    test "push messages without actions get no token" do
+      user = fake_user!()
+      message = WebPush.format_push_message("Title", "Body")
+
+      data = message |> WebPush.put_recipient_data(user.id) |> Jason.decode!()
+
+      refute data["data"]["token"]
+      assert data["title"] == "Title"
+    end
+
+    test "adds the recipient's unread count as the app badge" do
+      user = fake_user!()
+      message = WebPush.format_push_message("Title", "Body")
+
+      data = message |> WebPush.put_recipient_data(user.id) |> Jason.decode!()
+
+      assert data["app_badge"] == Bonfire.Notify.unseen_count(user)
+    end
+
+    test "counts unread notifications of several users at once like one by one" do
+      [alice, bob, carol] = users = [fake_user!(), fake_user!(), fake_user!()]
+
+      likes =
+        for {author, likes} <- [{alice, 3}, {bob, 1}], _ <- 1..likes do
+          {:ok, post} =
+            Bonfire.Posts.publish(
+              current_user: author,
+              post_attrs: %{post_content: %{html_body: "<p>Like this</p>"}},
+              boundary: "public"
+            )
+
+          {:ok, like} = Bonfire.Social.Likes.like(fake_user!(), post)
+          {author, like}
+        end
+
+      {_, alice_like} = List.keyfind(likes, alice, 0)
+      Bonfire.Social.Seen.mark_seen(alice, alice_like)
+
+      counts = Bonfire.Notify.unseen_counts(users)
+
+      assert counts == Map.new(users, &{&1.id, Bonfire.Notify.unseen_count(&1)})
+      assert counts[alice.id] > counts[bob.id]
+      assert counts[bob.id] > counts[carol.id]
+    end
+
+    test "says who the notification is for, and how to switch to them on shared devices" do
+      user = fake_user!()
+      message = WebPush.format_push_message("Title", "Body", url: "/post/1")
+
+      data = message |> WebPush.put_recipient_data(user.id) |> Jason.decode!()
+      assert %{"id" => user_id, "shared" => false} = recipient = data["data"]["recipient"]
+      assert user_id == user.id
+      assert recipient["username"] == user.character.username
+      refute recipient["switch_url"]
+
+      data = message |> WebPush.put_recipient_data(user.id, shared: true) |> Jason.decode!()
+      assert %{"shared" => true, "switch_url" => switch_url} = data["data"]["recipient"]
+      assert switch_url =~ "@#{user.character.username}"
+      assert switch_url =~ URI.encode_www_form("/post/1")
+    end
+
+    test "lets the worker show in-app toasts unless the recipient turned them off" do
+      user = fake_user!()
+      other = fake_user!()
+      message = WebPush.format_push_message("Title", "Body")
+
+      Bonfire.Common.Settings.put([:push_notifications, :foreground_toasts], false,
+        current_user: other
+      )
+
+      assert %{"foreground_toast" => true} =
+               message |> WebPush.put_recipient_data(user.id) |> Jason.decode!()
+
+      assert %{"foreground_toast" => false} =
+               message |> WebPush.put_recipient_data(other.id) |> Jason.decode!()
+    end
+
+    test "plain text messages are left unchanged" do
+      user = fake_user!()
+
+      assert WebPush.put_recipient_data("plain text", user.id) == "plain text"
+    end
+  end
+
+  describe "perform/3" do
+    test "follows back the actor the token was signed for" do
+      user = fake_user!()
+      actor = fake_user!()
+
+      token = PushActions.sign_token(user.id, %{"actor_id" => actor.id, "actions" => ["follow"]})
+
+      assert {:ok, _} = PushActions.perform(token, "follow")
+      assert Bonfire.Social.Graph.Follows.following?(user, actor)
+    end
+
+    test "refuses actions the token wasn't signed for" do
+      user = fake_user!()
+      actor = fake_user!()
+
+      token =
+        PushActions.sign_token(user.id, %{"actor_id" => actor.id, "actions" => ["mark_read"]})
+
+      assert {:error, :not_allowed} = PushActions.perform(token, "follow")
+      refute Bonfire.Social.Graph.Follows.following?(user, actor)
+    end
+
+    test "refuses empty replies" do
+      user = fake_user!()
+      token = PushActions.sign_token(user.id, %{"id" => "object_id", "actions" => ["reply"]})
+
+      assert {:error, :empty_reply} = PushActions.perform(token, "reply", %{"text" => "  "})
+    end
+  end
+end
@@ -78,6 +78,42 @@ defmodule Bonfire.Notify.PushNotificationPreferencesTest do
       assert {:error, :no_subscriptions} = Bonfire.Notify.notify(boosts_object, [feed_id])
     end
 
+    test "still notifies users who turned a category on for one of their devices" do
+      Application.put_env(:bonfire_notify, :use_ex_nudge_mock, true)
+      on_exit(fn -> Application.delete_env(:bonfire_notify, :use_ex_nudge_mock) end)
+
+      creator = fake_user!()
+      user = fake_user!()
+      feed_id = Feeds.feed_id(:notifications, user)
+
+      Settings.put([:push_notifications, :likes], false, current_user: user)
+
+      {:ok, user_sub} =
+        Bonfire.Notify.WebPush.subscribe(user.id, %{
+          "endpoint" => "https://endpoint.test/phone",
+          "keys" => %{"p256dh" => "test_p256dh", "auth" => "test_auth"}
+        })
+
+      {:ok, _} =
+        Bonfire.Notify.WebPush.set_device_category(
+          user.id,
+          user_sub.push_subscription_id,
+          :likes,
+          true
+        )
+
+      object = %{
+        id: Needle.ULID.generate(),
+        title: "someone liked",
+        message: "your post",
+        url: "/test",
+        notify_category: :likes,
+        creator: creator
+      }
+
+      assert [{:ok, _, _}] = Bonfire.Notify.notify(object, [feed_id])
+    end
+
     test "filters correctly with multiple users" do
       creator = fake_user!()
       user_on = fake_user!()
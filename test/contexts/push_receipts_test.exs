@@ -0,0 +1,81 @@
+defmodule Bonfire.Notify.PushReceiptsTest do
+  use Bonfire.Notify.DataCase, async: true
+
+  alias Bonfire.Notify.PushReceipts
+  alias Bonfire.Notify.WebPush
+
+  @endpoint "https://receipts.endpoint.test"
+  @valid_data %{
+    "endpoint" => @endpoint,
+    "keys" => %{
+      "p256dh" => "test_p256dh",
+      "auth" => "test_auth"
+    }
+  }
+
+  defp subscribe! do
+    user = fake_user!()
+    {:ok, user_sub} = WebPush.subscribe(user.id, @valid_data)
+    user_sub.push_subscription_id
+  end
+
+  describe "record/3" do
+    test "records receipts for a device proving ownership with its auth secret" do
+      push_subscription_id = subscribe!()
+
+      assert {:ok, 3} =
+               PushReceipts.record(@endpoint, "test_auth", [
+                 %{"id" => "object1", "event" => "shown", "at" => 1_700_000_000_000},
+                 %{"id" => "object1", "event" => "clicked"},
+                 %{"id" => "object2", "event" => "closed", "category" => "likes"}
+               ])
+
+      assert PushReceipts.device_engagement([push_subscription_id]) == %{
+               push_subscription_id => %{shown: 1, clicked: 1, closed: 1}
+             }
+    end
+
+    test "skips invalid receipts" do
+      subscribe!()
+
+      assert {:ok, 1} =
+               PushReceipts.record(@endpoint, "test_auth", [
+                 %{"id" => "object1", "event" => "shown"},
+                 %{"id" => "object1", "event" => "exploded"},
+                 %{"event" => "shown"},
+                 "shown"
+               ])
+    end
+
+    test "rejects the wrong auth secret or an unknown device" do
+      subscribe!()
+
+      assert {:error, :not_found} =
+               PushReceipts.record(@endpoint, "wrong_auth", [
+                 %{"id" => "object1", "event" => "shown"}
+               ])
+
+      assert {:error, :not_found} =
+               PushReceipts.record("https://unknown.endpoint.test", "test_auth", [
+                 %{"id" => "object1", "event" => "shown"}
+               ])
+    end
+  end
+
+  describe "engagement_by_object/2" do
+    test "counts each device once per event, for a category" do
+      subscribe!()
+
+      {:ok, _} =
+        PushReceipts.record(@endpoint, "test_auth", [
+          %{"id" => "announcement", "event" => "shown", "category" => "broadcast"},
+          %{"id" => "announcement", "event" => "shown", "category" => "broadcast"},
+          %{"id" => "announcement", "event" => "clicked", "category" => "broadcast"},
+          %{"id" => "other", "event" => "shown", "category" => "likes"}
+        ])
+
+      assert [%{object_id: "announcement", shown: 1, clicked: 1, closed: 0}] =
+               PushReceipts.engagement_by_object(:broadcast)
+    end
+  end
+end
@@ -0,0 +1,41 @@
+defmodule Bonfire.Notify.PWAInstallsTest do
+  use Bonfire.Notify.DataCase, async: true
+
+  alias Bonfire.Notify.PWAInstalls
+
+  describe "record/2" do
+    test "records install events" do
+      assert {:ok, %{event: :prompted, platform: "android"}} =
+               PWAInstalls.record("prompted", "android")
+    end
+
+    test "rejects unknown events or platforms" do
+      assert {:error, :invalid_event} = PWAInstalls.record("exploded", "android")
+      assert {:error, :invalid_event} = PWAInstalls.record("prompted", "toaster")
+    end
+  end
+
+  describe "summary/1" do
+    test "counts events per platform, with the conversion of install prompts" do
+      {:ok, _} = PWAInstalls.record("prompted", "android")
+      {:ok, _} = PWAInstalls.record("accepted", "android")
+      {:ok, _} = PWAInstalls.record("appinstalled", "android")
+      {:ok, _} = PWAInstalls.record("prompted", "android")
+      {:ok, _} = PWAInstalls.record("dismissed", "android")
+      {:ok, _} = PWAInstalls.record("snoozed", "android")
+      {:ok, _} = PWAInstalls.record("ios_instructions", "ios")
+
+      summary = PWAInstalls.summary()
+
+      assert %{prompted: 2, accepted: 1, dismissed: 1, snoozed: 1, appinstalled: 1} =
+               android = Enum.find(summary, &(&1.platform == "android"))
+
+      assert PWAInstalls.conversion(android) == 50
+
+      assert %{ios_instructions: 1, prompted: 0} =
+               ios = Enum.find(summary, &(&1.platform == "ios"))
+
+      assert PWAInstalls.conversion(ios) == nil
+    end
+  end
+end
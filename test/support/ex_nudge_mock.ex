@@ -9,9 +9,14 @@ defmodule ExNudge.Mock do
       Application.put_env(:bonfire_notify, :ex_nudge_mock_response, :expired)
       # or
       Application.put_env(:bonfire_notify, :ex_nudge_mock_response, {:error, 500})
+
+  Each call also sends `{ExNudge.Mock, :sent, subscriptions, message}` to the calling process.
   """
 
-  def send_notifications(subscriptions, _message, _opts \\ []) do
+  def send_notifications(subscriptions, message, _opts \\ []) do
+    # Lets tests assert on the payload each batch of subscriptions received
+    send(self(), {ExNudge.Mock, :sent, subscriptions, message})
+
     response_type = Application.get_env(:bonfire_notify, :ex_nudge_mock_response, :success)
 
     Enum.map(subscriptions, fn sub ->
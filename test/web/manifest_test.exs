@@ -0,0 +1,88 @@
+defmodule Bonfire.Notify.Web.ManifestTest do
+  use Bonfire.Notify.ConnCase, async: true
+
+  alias Bonfire.Notify.Manifest
+
+  describe "GET /notify/manifest.webmanifest" do
+    test "serves the instance's manifest, with a share target and protocol handler" do
+      conn = get(Phoenix.ConnTest.build_conn(), Manifest.path())
+
+      assert ["application/manifest+json" <> _] = get_resp_header(conn, "content-type")
+      manifest = Jason.decode!(conn.resp_body)
+
+      assert manifest["name"]
+      assert manifest["start_url"] == "/"
+      assert manifest["share_target"]["action"] == Manifest.share_target_path()
+      assert [%{"sizes" => "any", "purpose" => "any"}] = manifest["icons"]
+
+      assert [%{"protocol" => "web+ap", "url" => "/notify/open?uri=%s"}] =
+               manifest["protocol_handlers"]
+    end
+  end
+
+  describe "open_path/1" do
+    test "looks up remote fediverse links" do
+      assert Manifest.open_path("web+ap://example.social/@alice") ==
+               "/search?s=https%3A%2F%2Fexample.social%2F%40alice"
+    end
+
+    test "opens links to this instance directly" do
+      host = URI.parse(Bonfire.Common.URIs.base_url()).host
+      assert Manifest.open_path("web+ap://#{host}/post/123?x=1") == "/post/123?x=1"
+    end
+
+    test "ignores anything else" do
+      assert Manifest.open_path("javascript:alert(1)") == nil
+      assert Manifest.open_path("web+ap://") == nil
+    end
+
+    test "doesn't open local paths that would lead to another host" do
+      host = URI.parse(Bonfire.Common.URIs.base_url()).host
+      assert Manifest.open_path("web+ap://#{host}//evil.example/phish") == nil
+    end
+  end
+
+  describe "POST /notify/share" do
+    test "keeps the shared text for the page to open, like the service worker" do
+      conn =
+        post(Phoenix.ConnTest.build_conn(), Manifest.share_target_path(), %{
+          "title" => "A link",
+          "text" => "Look at this",
+          "url" => "https://example.com/"
+        })
+
+      assert redirected_to(conn, 303) == "/"
+
+      assert %{"title" => "A link", "text" => "Look at this", "url" => "https://example.com/"} =
+               conn.resp_cookies["bonfire_notify_share"].value
+               |> URI.decode_www_form()
+               |> Jason.decode!()
+    end
+
+    test "shortens long shares to fit the cookie" do
+      conn =
+        post(Phoenix.ConnTest.build_conn(), Manifest.share_target_path(), %{
+          "title" => "A link",
+          "text" => String.duplicate("Look at this 🔥 ", 1_000),
+          "url" => "https://example.com/"
+        })
+
+      cookie = conn.resp_cookies["bonfire_notify_share"].value
+      assert byte_size(cookie) <= 3_000
+
+      assert %{"title" => "A link", "text" => "Look at this 🔥" <> _} =
+               cookie |> URI.decode_www_form() |> Jason.decode!()
+    end
+  end
+
+  describe "GET /notify/open" do
+    test "redirects to the linked object" do
+      conn =
+        get(Phoenix.ConnTest.build_conn(), "/notify/open", %{
+          "uri" => "web+ap://example.social/@alice"
+        })
+
+      assert redirected_to(conn) =~ "/search?s="
+    end
+  end
+end
@@ -158,4 +158,50 @@ defmodule Bonfire.Notify.WebPushPreferencesTest do
              )
     end
   end
+
+  describe "device categories" do
+    test "skips devices where the user turned the category off" do
+      user = fake_user!()
+      phone = subscribe!(user, endpoint: "#{@endpoint_base}/phone")
+      subscribe!(user, endpoint: "#{@endpoint_base}/desktop")
+
+      {:ok, _} = WebPush.set_device_category(user.id, phone.push_subscription_id, :likes, false)
+
+      assert [{:ok, subscription, _}] =
+               WebPush.send_web_push(user.id, "msg", notify_category: :likes)
+
+      assert subscription.endpoint == "#{@endpoint_base}/desktop"
+      assert sent?(WebPush.send_web_push(user.id, "msg", notify_category: :boosts))
+    end
+
+    test "devices that didn't choose follow the user-wide setting" do
+      user = fake_user!()
+      phone = subscribe!(user, endpoint: "#{@endpoint_base}/phone")
+      subscribe!(user, endpoint: "#{@endpoint_base}/desktop")
+
+      Bonfire.Common.Settings.put([:push_notifications, :likes], false, current_user: user)
+      {:ok, _} = WebPush.set_device_category(user.id, phone.push_subscription_id, :likes, true)
+
+      assert [{:ok, subscription, _}] =
+               WebPush.send_web_push(user.id, "msg", notify_category: :likes)
+
+      assert subscription.endpoint == "#{@endpoint_base}/phone"
+    end
+
+    test "only accepts the known categories, on the user's own devices" do
+      user = fake_user!()
+      user_sub = subscribe!(user, [])
+
+      assert {:error, :not_found} =
+               WebPush.set_device_category(user.id, user_sub.push_subscription_id, :bogus, true)
+
+      assert {:error, :not_found} =
+               WebPush.set_device_category(
+                 fake_user!().id,
+                 user_sub.push_subscription_id,
+                 :likes,
+                 true
+               )
+    end
+  end
 end
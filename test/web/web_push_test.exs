@@ -72,6 +72,39 @@ defmodule Bonfire.Notify.WebPushTest do
       assert sub2.id == user2.id
     end
 
+    test "remembers which payload format the browser supports" do
+      user = fake_user!()
+
+      {:ok, user_sub} = WebPush.subscribe(user.id, @valid_data)
+      assert repo().get!(PushSubscription, user_sub.push_subscription_id).payload_format == :legacy
+
+      {:ok, user_sub} =
+        WebPush.subscribe(user.id, Map.put(@valid_data, "payload_format", "declarative"))
+
+      assert repo().get!(PushSubscription, user_sub.push_subscription_id).payload_format ==
+               :declarative
+    end
+
+    test "remembers how the browser described the device" do
+      user = fake_user!()
+
+      device = %{
+        "browser" => "Firefox",
+        "os" => "Linux",
+        "installed" => true,
+        "user_agent" => "Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0"
+      }
+
+      {:ok, user_sub} = WebPush.subscribe(user.id, Map.put(@valid_data, "device", device))
+      push_sub = repo().get!(PushSubscription, user_sub.push_subscription_id)
+
+      assert %{browser: "Firefox", os: "Linux", platform: "linux", installed: true} = push_sub
+      assert push_sub.user_agent =~ "Firefox/121.0"
+
+      assert Bonfire.Notify.Settings.PushNotificationsLive.device_label(push_sub) ==
+               "Firefox on Linux (installed app)"
+    end
+
     test "returns error for invalid JSON" do
       user = fake_user!()
 
@@ -85,6 +118,93 @@ defmodule Bonfire.Notify.WebPushTest do
     end
   end
 
+  describe "resubscribe/3" do
+    test "replaces the old endpoint without creating a duplicate device" do
+      user = fake_user!()
+      {:ok, old_sub} = WebPush.subscribe(user.id, @valid_data)
+
+      new_data = Map.put(@valid_data, "endpoint", "https://endpoint.test/rotated")
+      {:ok, new_sub} = WebPush.resubscribe(user.id, "https://endpoint.test", new_data)
+
+      assert new_sub.push_subscription_id == old_sub.push_subscription_id
+      assert [user_sub] = WebPush.list_subscriptions(user.id)
+      assert user_sub.push_subscription.endpoint == "https://endpoint.test/rotated"
+      refute PushSubscription.get_by_endpoint("https://endpoint.test")
+    end
+
+    test "keeps other users sharing the device linked to it" do
+      user = fake_user!()
+      other_user = fake_user!()
+      {:ok, _} = WebPush.subscribe(user.id, @valid_data)
+      {:ok, _} = WebPush.subscribe(other_user.id, @valid_data)
+
+      new_data = Map.put(@valid_data, "endpoint", "https://endpoint.test/rotated")
+      {:ok, _} = WebPush.resubscribe(user.id, "https://endpoint.test", new_data)
+
+      assert [user_sub] = WebPush.list_subscriptions(other_user.id)
+      assert user_sub.push_subscription.endpoint == "https://endpoint.test/rotated"
+    end
+
+    test "subscribes normally when the user isn't linked to the old endpoint" do
+      user = fake_user!()
+      other_user = fake_user!()
+      {:ok, _} = WebPush.subscribe(other_user.id, @valid_data)
+
+      new_data = Map.put(@valid_data, "endpoint", "https://endpoint.test/mine")
+      {:ok, _} = WebPush.resubscribe(user.id, "https://endpoint.test", new_data)
+
+      assert PushSubscription.get_by_endpoint("https://endpoint.test")
+      assert [user_sub] = WebPush.list_subscriptions(user.id)
+      assert user_sub.push_subscription.endpoint == "https://endpoint.test/mine"
+    end
+  end
+
+  describe "renew_subscription/3" do
+    test "replaces the endpoint when given the old auth secret" do
+      user = fake_user!()
+      {:ok, old_sub} = WebPush.subscribe(user.id, @valid_data)
+
+      new_data = Map.put(@valid_data, "endpoint", "https://endpoint.test/rotated")
+
+      assert {:ok, push_sub} =
+               WebPush.renew_subscription("https://endpoint.test", "test_auth", new_data)
+
+      assert push_sub.id == old_sub.push_subscription_id
+      assert push_sub.endpoint == "https://endpoint.test/rotated"
+    end
+
+    test "moves users onto the new endpoint if it is already registered" do
+      user = fake_user!()
+      other_user = fake_user!()
+      new_data = Map.put(@valid_data, "endpoint", "https://endpoint.test/rotated")
+      {:ok, _} = WebPush.subscribe(user.id, @valid_data)
+      {:ok, new_sub} = WebPush.subscribe(other_user.id, new_data)
+
+      assert {:ok, push_sub} =
+               WebPush.renew_subscription("https://endpoint.test", "test_auth", new_data)
+
+      assert push_sub.id == new_sub.push_subscription_id
+      refute PushSubscription.get_by_endpoint("https://endpoint.test")
+      assert [%{push_subscription_id: id}] = WebPush.list_subscriptions(user.id)
+      assert id == new_sub.push_subscription_id
+    end
+
+    test "refuses to renew without the right auth secret" do
+      user = fake_user!()
+      {:ok, _} = WebPush.subscribe(user.id, @valid_data)
+
+      new_data = Map.put(@valid_data, "endpoint", "https://endpoint.test/hijacked")
+
+      assert {:error, :not_found} =
+               WebPush.renew_subscription("https://endpoint.test", "wrong_auth", new_data)
+
+      assert {:error, :not_found} =
+               WebPush.renew_subscription("https://endpoint.test", nil, new_data)
+
+      assert PushSubscription.get_by_endpoint("https://endpoint.test")
+    end
+  end
+
   describe "get_subscriptions/1" do
     test "returns subscriptions in ExNudge format" do
       user = fake_user!()
@@ -121,6 +241,69 @@ defmodule Bonfire.Notify.WebPushTest do
     end
   end
 
+  describe "device_users/1" do
+    test "lists the users sharing a device" do
+      user = fake_user!()
+      other = fake_user!()
+      {:ok, _} = WebPush.subscribe(user.id, @valid_data)
+      {:ok, _} = WebPush.subscribe(other.id, @valid_data)
+
+      user_ids = WebPush.device_users("https://endpoint.test") |> Enum.map(& &1.id)
+      assert Enum.sort(user_ids) == Enum.sort([user.id, other.id])
+
+      assert WebPush.device_users("https://unknown.endpoint.test") == []
+    end
+  end
+
+  describe "rename_device/3" do
+    test "names a device, and keeps the name when it subscribes again" do
+      user = fake_user!()
+      device = %{"browser" => "Chrome", "os" => "Android", "model" => "Pixel 7"}
+      data = Map.put(@valid_data, "device", device)
+      {:ok, user_sub} = WebPush.subscribe(user.id, data)
+
+      assert {:ok, user_sub} =
+               WebPush.rename_device(user.id, user_sub.push_subscription_id, " Work phone ")
+
+      assert Bonfire.Notify.Settings.PushNotificationsLive.device_label(user_sub) == "Work phone"
+
+      {:ok, _} = WebPush.subscribe(user.id, data)
+      assert [user_sub] = WebPush.list_subscriptions(user.id)
+      assert user_sub.device_name == "Work phone"
+    end
+
+    test "only renames it for the user, on a shared device" do
+      user = fake_user!()
+      other_user = fake_user!()
+      {:ok, user_sub} = WebPush.subscribe(user.id, @valid_data)
+      {:ok, _} = WebPush.subscribe(other_user.id, @valid_data)
+
+      {:ok, _} = WebPush.rename_device(user.id, user_sub.push_subscription_id, "Family laptop")
+
+      assert [%{device_name: nil}] = WebPush.list_subscriptions(other_user.id)
+    end
+
+    test "goes back to the browser's description when the name is blank" do
+      user = fake_user!()
+      data = Map.put(@valid_data, "device", %{"browser" => "Chrome", "model" => "Pixel 7"})
+      {:ok, user_sub} = WebPush.subscribe(user.id, data)
+      {:ok, _} = WebPush.rename_device(user.id, user_sub.push_subscription_id, "Work phone")
+
+      assert {:ok, user_sub} = WebPush.rename_device(user.id, user_sub.push_subscription_id, "")
+
+      assert Bonfire.Notify.Settings.PushNotificationsLive.device_label(user_sub) ==
+               "Chrome on Pixel 7"
+    end
+
+    test "can't rename other users' devices" do
+      user = fake_user!()
+      {:ok, user_sub} = WebPush.subscribe(fake_user!().id, @valid_data)
+
+      assert {:error, :not_found} =
+               WebPush.rename_device(user.id, user_sub.push_subscription_id, "Mine now")
+    end
+  end
+
   describe "format_push_message/3" do
     test "formats message as JSON" do
       json = WebPush.format_push_message("Test Title", "Test Body")
@@ -145,6 +328,64 @@ defmodule Bonfire.Notify.WebPushTest do
       assert data["requireInteraction"] == true
       assert data["data"]["url"] == "/test/url"
     end
+
+    test "includes the object id and allowed actions" do
+      json =
+        WebPush.format_push_message("Title", "Body",
+          object_id: "object_id",
+          actor_id: "actor_id",
+          actions: ["reply", "like"]
+        )
+
+      data = Jason.decode!(json)
+
+      assert data["data"]["id"] == "object_id"
+      assert data["data"]["actor_id"] == "actor_id"
+      assert data["data"]["actions"] == ["reply", "like"]
+    end
+
+    test "can emit a Declarative Web Push payload" do
+      json =
+        WebPush.format_push_message("Title", "Body",
+          tag: "test_tag",
+          url: "/test/url",
+          object_id: "object_id",
+          format: :declarative
+        )
+
+      data = Jason.decode!(json)
+
+      assert data["web_push"] == 8030
+      assert data["mutable"] == true
+      assert data["notification"]["title"] == "Title"
+      assert data["notification"]["body"] == "Body"
+      assert data["notification"]["tag"] == "test_tag"
+      assert data["notification"]["navigate"] =~ ~r"^https?://.+/test/url$"
+      assert data["notification"]["data"]["id"] == "object_id"
+    end
+  end
+
+  describe "to_declarative/1" do
+    test "keeps the recipient data and action token" do
+      user = fake_user!()
+
+      data =
+        WebPush.format_push_message("Title", "Body", object_id: "object_id", actions: ["like"])
+        |> WebPush.put_recipient_data(user.id)
+        |> WebPush.to_declarative()
+        |> Jason.decode!()
+
+      assert data["app_badge"] == 0
+      assert data["foreground_toast"] == true
+      assert is_binary(data["notification"]["data"]["token"])
+    end
+
+    test "leaves declarative and plain text messages unchanged" do
+      declarative = WebPush.format_push_message("Title", "Body", format: :declarative)
+
+      assert WebPush.to_declarative(declarative) == declarative
+      assert WebPush.to_declarative("plain text") == "plain text"
+    end
   end
 
   describe "remove_subscription_by_endpoint/1" do
@@ -160,6 +401,30 @@ defmodule Bonfire.Notify.WebPushTest do
     end
   end
 
+  describe "remove_user_subscription_by_endpoint/2" do
+    test "removes the device when it's one of the user's" do
+      user = fake_user!()
+      {:ok, _} = WebPush.subscribe(user.id, @valid_data)
+
+      assert {1, _} =
+               WebPush.remove_user_subscription_by_endpoint(user.id, "https://endpoint.test")
+
+      assert [] == WebPush.list_subscriptions(user.id)
+      refute PushSubscription.get_by_endpoint("https://endpoint.test")
+    end
+
+    test "leaves other users' devices alone" do
+      user = fake_user!()
+      other_user = fake_user!()
+      {:ok, _} = WebPush.subscribe(other_user.id, @valid_data)
+
+      assert {0, _} =
+               WebPush.remove_user_subscription_by_endpoint(user.id, "https://endpoint.test")
+
+      assert [_] = WebPush.list_subscriptions(other_user.id)
+    end
+  end
+
   describe "resolve_feed_ids_to_user_ids/1" do
     test "resolves notification feed IDs to user IDs" do
       user = fake_user!()